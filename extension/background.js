@@ -23,7 +23,7 @@
  *  - Key leakage:        Raw key stored in chrome.storage.local only (not page-accessible)
  */
 
-importScripts('env.js');
+importScripts('env.js', 'mappings.js');
 const API_URL = ENV.API_URL;
 
 // ── Secure storage accessors ──────────────────────────────────
@@ -147,7 +147,9 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 
   const data = await response.json();
-  if (!response.ok) throw new Error(data.message || 'API request failed.');
+  if (!response.ok) {
+    throw Object.assign(new Error(data.message || 'API request failed.'), { status: response.status });
+  }
   return data;
 };
 
@@ -171,12 +173,22 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
   switch (request.type) {
 
     case 'FETCH_PROFILE':
-      // Popup requests profile — we fetch it here using the stored token
-      apiRequest('/api/profile')
+      // Popup requests profile — we fetch it here using the stored token.
+      // Optional personaId returns the base profile merged with that persona.
+      apiRequest(request.personaId
+        ? `/api/profile?persona=${encodeURIComponent(request.personaId)}`
+        : '/api/profile')
         .then((data) => sendResponse({ success: true, data }))
         .catch((err) => sendResponse({ success: false, message: err.message, code: err.code }));
       return true; // Keep channel open for async response
 
+    case 'FETCH_PERSONAS':
+      // Popup profile picker — names/ids of the user's named profiles
+      apiRequest('/api/profile/personas')
+        .then((data) => sendResponse({ success: true, personas: data.personas || [] }))
+        .catch((err) => sendResponse({ success: false, message: err.message, code: err.code }));
+      return true;
+
     case 'CHECK_AUTH':
       // Check if a token or API key exists (does not validate with server)
       Promise.all([getToken(), getApiKey()])
@@ -190,6 +202,8 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
         try {
           await setApiKey(request.apiKey);
           await authenticateWithKey();
+          // A newly connected device picks up the mappings learned on others
+          scheduleMappingSync();
           sendResponse({ success: true });
         } catch (err) {
           await clearApiKey();
@@ -205,6 +219,27 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
         .catch(() => sendResponse({ success: false }));
       return true;
 
+    case 'SYNC_MAPPINGS':
+      // Learned mappings changed in the popup — push them (debounced), or sync
+      // right away and report the result when immediate is set
+      if (!request.immediate) {
+        scheduleMappingSync();
+        sendResponse({ success: true });
+        return true;
+      }
+      runMappingSync()
+        .then((result) => sendResponse({ success: true, ...result }))
+        .catch((err) => sendResponse({ success: false, message: err.message, code: err.code }));
+      return true;
+
+    case 'CAPTURE_ANSWER':
+      // Content script saw an answer typed into a field no profile key covers
+      if (typeof request.question === 'string' && typeof request.answer === 'string') {
+        queueCapturedAnswer(request.question, request.answer);
+      }
+      sendResponse({ success: true });
+      return true;
+
     case 'CLEAR_TOKEN':
       // Explicit logout — remove token and API key from storage
       Promise.all([clearToken(), clearApiKey()])
@@ -218,9 +253,210 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
   }
 });
 
+// ── Learned mappings migration ────────────────────────────────
+// Mappings saved before scopes existed were one flat map per hostname; they become
+// that hostname's domain scope (see mappings.js).
+const migrateSiteMappings = () =>
+  new Promise((resolve) => {
+    chrome.storage.local.get(['siteMappings', 'mappingsVersion'], (result) => {
+      if ((result.mappingsVersion || 1) >= MAPPINGS_VERSION) return resolve();
+      chrome.storage.local.set({
+        siteMappings: upgradeSiteMappings(result.siteMappings),
+        mappingsVersion: MAPPINGS_VERSION,
+      }, resolve);
+    });
+  });
+
+// ── Learned mappings sync ─────────────────────────────────────
+// Mappings are merged with the account's copy (/api/mappings) last-writer-wins
+// per label, using the per-device timestamps in mappingMeta (see mappings.js).
+// Cleared labels travel as tombstones so they are removed everywhere.
+const MAPPING_SYNC_DELAY_MS = 2_000;
+const MAPPING_IMPORT_BATCH = 100; // SiteMapping.MAX_IMPORT_BATCH on the server
+// The server's JSON body limit is 20kb; the rest is headroom for the request wrapper
+const MAPPING_IMPORT_MAX_BYTES = 16_000;
+// Field limits of the import schema in server/src/controllers/mappingController.js
+const MAPPING_LIMITS = { host: 253, scopeId: 500, label: MAPPING_LABEL_MAX_LENGTH, key: 100 };
+// A 4xx means the server will refuse the same batch again; these ones are worth a retry
+const RETRYABLE_CLIENT_ERRORS = [401, 403, 408, 429];
+
+const getStoredMappings = () =>
+  new Promise((resolve) => {
+    chrome.storage.local.get(['siteMappings', 'mappingMeta'], (result) => {
+      resolve(flattenSiteMappings(upgradeSiteMappings(result.siteMappings), result.mappingMeta || {}));
+    });
+  });
+
+const setStoredMappings = (entries) =>
+  new Promise((resolve) => {
+    chrome.storage.local.set(buildSiteMappings(entries), resolve);
+  });
+
+// Entries the server refused, by mapping id → updatedAt. They are not uploaded
+// again until they are edited.
+const getRejectedMappings = () =>
+  new Promise((resolve) => {
+    chrome.storage.local.get(['rejectedMappings'], (result) => resolve(result.rejectedMappings || {}));
+  });
+
+const setRejectedMappings = (rejected) =>
+  new Promise((resolve) => {
+    chrome.storage.local.set({ rejectedMappings: rejected }, resolve);
+  });
+
+// Whether the import schema would accept the entry
+const isUploadableMapping = (entry) => {
+  const label = entry.label.trim();
+  const scopeId = entry.scopeId.trim();
+  const key = (entry.key || '').trim();
+  return (
+    entry.host.length <= MAPPING_LIMITS.host &&
+    label.length > 0 && label.length <= MAPPING_LIMITS.label &&
+    (entry.scope === 'domain' || (scopeId.length > 0 && scopeId.length <= MAPPING_LIMITS.scopeId)) &&
+    (entry.deleted || (key.length > 0 && key.length <= MAPPING_LIMITS.key))
+  );
+};
+
+// Split entries into import batches that stay under the entry and body size limits
+const batchMappingUploads = (entries) => {
+  const encoder = new TextEncoder();
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+  entries.forEach((entry) => {
+    const size = encoder.encode(JSON.stringify(entry)).length + 1; // + separating comma
+    if (batch.length > 0 && (batch.length >= MAPPING_IMPORT_BATCH || bytes + size > MAPPING_IMPORT_MAX_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+    batch.push(entry);
+    bytes += size;
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+const syncSiteMappings = async () => {
+  const [token, apiKey] = await Promise.all([getToken(), getApiKey()]);
+  if (!token && !apiKey) return { synced: false };
+
+  await migrateSiteMappings();
+  const { mappings: remote = [] } = await apiRequest('/api/mappings');
+
+  // Local mappings are read after the download so edits made meanwhile are kept
+  const merged = mergeMappingEntries(await getStoredMappings(), remote);
+  await setStoredMappings(merged);
+
+  // Upload what this device changed since the server last saw it
+  const remoteUpdatedAt = new Map(remote.map((entry) =>
+    [mappingEntryId(entry.host, entry.scope, entry.scopeId, entry.label), entry.updatedAt]));
+  const rejected = await getRejectedMappings();
+  const stillRejected = {};
+  const changed = [];
+  let skipped = 0;
+  merged.forEach((entry) => {
+    const id = mappingEntryId(entry.host, entry.scope, entry.scopeId, entry.label);
+    if (remoteUpdatedAt.has(id) && entry.updatedAt <= remoteUpdatedAt.get(id)) return;
+    if (rejected[id] === entry.updatedAt) {
+      stillRejected[id] = entry.updatedAt;
+      skipped++;
+    } else if (!isUploadableMapping(entry)) {
+      skipped++;
+    } else {
+      changed.push(entry);
+    }
+  });
+
+  let uploaded = 0;
+  for (const batch of batchMappingUploads(changed)) {
+    try {
+      await apiRequest('/api/mappings/import', {
+        method: 'POST',
+        body: JSON.stringify({ mappings: batch }),
+      });
+      uploaded += batch.length;
+    } catch (err) {
+      const refused = err.status >= 400 && err.status < 500 && !RETRYABLE_CLIENT_ERRORS.includes(err.status);
+      if (!refused) {
+        await setRejectedMappings(stillRejected);
+        throw err;
+      }
+      batch.forEach((entry) => {
+        stillRejected[mappingEntryId(entry.host, entry.scope, entry.scopeId, entry.label)] = entry.updatedAt;
+      });
+      skipped += batch.length;
+    }
+  }
+  await setRejectedMappings(stillRejected);
+
+  return { synced: true, downloaded: remote.length, uploaded, skipped };
+};
+
+// One sync at a time; bursts of edits (several confirmations saved at once)
+// are collapsed into a single sync
+let mappingSyncRun = Promise.resolve();
+let mappingSyncTimer = null;
+
+const runMappingSync = () => {
+  const run = mappingSyncRun.then(syncSiteMappings);
+  mappingSyncRun = run.catch(() => {});
+  return run;
+};
+
+const scheduleMappingSync = () => {
+  clearTimeout(mappingSyncTimer);
+  mappingSyncTimer = setTimeout(() => {
+    // Failures (offline, not connected) are retried on the next change or startup
+    runMappingSync().catch(() => {});
+  }, MAPPING_SYNC_DELAY_MS);
+};
+
+// ── Answer capture ────────────────────────────────────────────
+// Answers arrive on every blur; the latest text per question is saved to the
+// answer bank (/api/profile/answers) after a pause in typing.
+const ANSWER_UPLOAD_DELAY_MS = 3_000;
+const MAX_ANSWER_QUESTION_LENGTH = 300; // answerController.js question schema
+const capturedAnswers = new Map(); // question → answer
+let answerUploadTimer = null;
+
+const isAnswerCaptureOn = () =>
+  new Promise((resolve) => {
+    chrome.storage.local.get(['captureAnswers'], (result) => resolve(!!result.captureAnswers));
+  });
+
+const uploadCapturedAnswers = async () => {
+  const batch = [...capturedAnswers.entries()];
+  capturedAnswers.clear();
+  // Checked again here — the setting may have been turned off since the capture
+  if (!(await isAnswerCaptureOn())) return;
+
+  for (const [question, answer] of batch) {
+    try {
+      await apiRequest('/api/profile/answers', {
+        method: 'POST',
+        body: JSON.stringify({ question: question.slice(0, MAX_ANSWER_QUESTION_LENGTH), answer }),
+      });
+    } catch (err) {
+      // Not connected or offline — this answer is not saved
+    }
+  }
+};
+
+const queueCapturedAnswer = (question, answer) => {
+  capturedAnswers.set(question, answer);
+  clearTimeout(answerUploadTimer);
+  answerUploadTimer = setTimeout(uploadCapturedAnswers, ANSWER_UPLOAD_DELAY_MS);
+};
+
 // ── Extension lifecycle ───────────────────────────────────────
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // First install — no sensitive data logged
   }
+  migrateSiteMappings().then(scheduleMappingSync);
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleMappingSync();
 });
@@ -1,7 +1,7 @@
 /**
  * content.js — Form Field Detection & Autofill Engine
  *
- * Injected into Google Forms pages (via manifest) and on-demand into other
+ * Injected into Google Forms and Microsoft Forms pages (via manifest) and on-demand into other
  * pages (via chrome.scripting.executeScript from popup when user clicks
  * Scan/Autofill — requires activeTab permission, user-initiated only).
  *
@@ -15,6 +15,10 @@
  *  - DEBUG flag is hard-coded to false for production. When true, only
  *    field labels and match scores are logged — never profile values.
  *  - UNSAFE_LABELS list prevents filling declaration/consent/upload fields.
+ *  - Answer capture is off unless the user turns it on in the popup, and never
+ *    reads password, payment or one-time-code fields.
+ *  - Answer templates are never filled unreviewed — the popup shows the resolved
+ *    text and only what the user confirms is written.
  *
  * Attack vector mitigations:
  *  - Malicious page trying to read extension data:
@@ -23,7 +27,8 @@
  *      message listener below, which only responds to messages from the
  *      extension's own runtime (not from page scripts).
  *  - Content script injection abuse:
- *      Content script is only auto-injected on docs.google.com/forms/*.
+ *      Content script is only auto-injected on docs.google.com/forms/* and
+ *      forms.office.com/*.
  *      On other pages, injection requires user click (activeTab).
  *  - XSS via autofilled values:
  *      Values are set via element.value (not innerHTML). This is a safe
@@ -34,10 +39,14 @@
 
 /**
  * Element Registry - Stable in-memory storage for detected form elements
- * Maps fieldId -> HTMLElement to avoid fragile CSS selector lookups
+ * Maps fieldId -> { element, adapter, question, label } to avoid fragile CSS selector
+ * lookups; adapter is the id of the form adapter that owns the question
  */
 const elementRegistry = new Map();
 
+// Next fieldId index — keeps ids unique across the sections of one autofill session
+let nextFieldIndex = 0;
+
 // Global debug flag and logger
 // Set DEBUG = true only during local development — never in production releases.
 // Protects against: PII (name, phone, DOB etc.) appearing in DevTools console
@@ -47,9 +56,38 @@ const log = (...args) => {
   if (DEBUG) console.log("FILLR DEBUG:", ...args);
 };
 
+/**
+ * Fill journal — prior values of every field changed during the current autofill
+ * session, so UNDO_AUTOFILL can roll back the whole run or a single field.
+ * Entries are { fieldId, restore, derived } where restore() puts the old value/selection
+ * back and returns false (or a Promise of false) if the widget cannot be restored.
+ */
+let fillJournal = [];
+let journalFieldId = null; // fieldId currently being filled (set by fillQuestion)
+let journalDerived = false; // Whether that fill writes a derived value
+
+/**
+ * Record how to restore an element before a fill changes it
+ * @param {Function} restore - Restores the prior value/selection
+ */
+const recordFill = (restore) => {
+  if (journalFieldId) {
+    fillJournal.push({ fieldId: journalFieldId, restore, derived: journalDerived });
+  }
+};
+
 // Google Forms detection flag
 const isGoogleForm = window.location.hostname.includes("docs.google.com");
 
+// Microsoft Forms detection flag
+const isMicrosoftForm = window.location.hostname.includes("forms.office.com");
+
+// Microsoft Forms DOM hooks (stable data-automation-id attributes, not hashed classes)
+const MS_QUESTION_SELECTOR = '[data-automation-id="questionItem"]';
+const MS_TITLE_SELECTOR = '[data-automation-id="questionTitle"]';
+const MS_DROPDOWN_SELECTOR =
+  '[role="combobox"]:not(input), [aria-haspopup="listbox"]:not(input)';
+
 // Labels that should never be autofilled (safety)
 const UNSAFE_LABELS = [
   "undertaking",
@@ -76,82 +114,92 @@ const isUnsafeLabel = (label) => {
 };
 
 /**
- * Detects all form fields on the current page
+ * Document of a same-origin iframe, or null when the frame is cross-origin
+ * (content scripts cannot reach into those) or not loaded yet
+ * @param {HTMLIFrameElement} frame - iframe/frame element
+ * @returns {Document|null} Frame document
+ */
+const getFrameDocument = (frame) => {
+  try {
+    return frame.contentDocument || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Collect every root form fields can live in: the document, open shadow roots
+ * (ERP web components) and same-origin iframe documents, recursively.
+ * Closed shadow roots are not reachable and are skipped.
+ * @param {Document|ShadowRoot} [root] - Root to start from
+ * @returns {Array<Document|ShadowRoot>} Search roots
+ */
+const getSearchRoots = (root = document) => {
+  const roots = [root];
+  root.querySelectorAll("*").forEach((element) => {
+    if (element.shadowRoot) roots.push(...getSearchRoots(element.shadowRoot));
+    if (element.tagName === "IFRAME" || element.tagName === "FRAME") {
+      const frameDocument = getFrameDocument(element);
+      if (frameDocument) roots.push(...getSearchRoots(frameDocument));
+    }
+  });
+  return roots;
+};
+
+/**
+ * querySelectorAll across the document, open shadow roots and same-origin frames
+ * @param {string} selector - CSS selector
+ * @param {Array<Document|ShadowRoot>} [roots] - Pre-collected search roots
+ * @returns {HTMLElement[]} Matching elements
+ */
+const queryAllDeep = (selector, roots = getSearchRoots()) =>
+  roots.flatMap((root) => Array.from(root.querySelectorAll(selector)));
+
+/**
+ * Detects all form fields on the current page via the active form adapters
  * @returns {Array} Array of field metadata objects
  */
 const detectFormFields = () => {
   // Clear registry to prevent stale references
   elementRegistry.clear();
+  nextFieldIndex = 0;
 
   const fields = [];
-  const selectors = ["input", "textarea", "select"];
-
-  selectors.forEach((selector) => {
-    const elements = document.querySelectorAll(selector);
-
-    elements.forEach((element, index) => {
-      // Skip hidden fields and buttons
-      if (
-        element.type === "hidden" ||
-        element.type === "submit" ||
-        element.type === "button"
-      ) {
-        return;
-      }
-
-      const fieldData = {
-        label: getFieldLabel(element),
-        placeholder: (element.placeholder || "").toLowerCase().trim(),
-        name: (element.name || "").toLowerCase().trim(),
-        id: (element.id || "").toLowerCase().trim(),
-        type: element.type || element.tagName.toLowerCase(),
-        tagName: element.tagName.toLowerCase(),
-      };
 
-      fields.push(fieldData);
-    });
-  });
-
-  // Google Forms: Detect custom dropdown and radio elements
-  if (isGoogleForm) {
-    const googleDropdowns = document.querySelectorAll('[role="listbox"]');
-    googleDropdowns.forEach((element) => {
-      const container = element.closest('[role="listitem"]');
-      const heading = container?.querySelector('[role="heading"]');
-      const labelText = heading?.innerText || "";
+  getActiveAdapters().forEach((adapter) => {
+    adapter.detect().forEach((question) => {
       fields.push({
-        label: labelText.toLowerCase().trim(),
-        placeholder: "",
-        name: "",
-        id: "",
-        type: "google-dropdown",
-        tagName: "div",
+        ...describeQuestion(adapter, question),
+        tagName: question.element.tagName.toLowerCase(),
       });
     });
-
-    const googleRadios = document.querySelectorAll('[role="radio"]');
-    const processedContainers = new Set();
-    googleRadios.forEach((element) => {
-      const container = element.closest('[role="listitem"]');
-      if (container && !processedContainers.has(container)) {
-        processedContainers.add(container);
-        const heading = container.querySelector('[role="heading"]');
-        const labelText = heading?.innerText || "";
-        fields.push({
-          label: labelText.toLowerCase().trim(),
-          placeholder: "",
-          name: "",
-          id: "",
-          type: "google-radio",
-          tagName: "div",
-        });
-      }
-    });
-  }
+  });
 
   return fields;
 };
 
+/**
+ * Extract the question title from a Microsoft Forms question container
+ * Strips the question number prefix ("3.") and the required-marker ("*")
+ * @param {HTMLElement} container - [data-automation-id="questionItem"] element
+ * @returns {string} Normalized question title
+ */
+const getMsQuestionTitle = (container) => {
+  const title =
+    container?.querySelector(MS_TITLE_SELECTOR) ||
+    container?.querySelector('[role="heading"]');
+  if (!title) return "";
+
+  // Title text lives in .text-format-content; the wrapper also holds number + star
+  const textNode = title.querySelector(".text-format-content");
+  return ((textNode || title).innerText || "")
+    .replace(/^\s*\d+\s*[.)]\s*/, "")
+    .replace(/\s*\*\s*$/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .trim();
+};
+
 /**
  * Attempts to find and extract label text for a form field (Google Forms compatible)
  * @param {HTMLElement} element - The form field element
@@ -160,6 +208,15 @@ const detectFormFields = () => {
 const getFieldLabel = (element) => {
   let labelText = "";
 
+  // Method 0: Microsoft Forms question title
+  // Checked before aria-label because MS Forms inputs carry generic aria-labels
+  // ("Single line text") while the real question lives in the container title.
+  if (isMicrosoftForm) {
+    const msContainer = element.closest(MS_QUESTION_SELECTOR);
+    const msTitle = getMsQuestionTitle(msContainer);
+    if (msTitle) return msTitle;
+  }
+
   // Method 1: Check for aria-label attribute (Google Forms uses this heavily)
   if (element.getAttribute("aria-label")) {
     labelText = element.getAttribute("aria-label");
@@ -176,9 +233,12 @@ const getFieldLabel = (element) => {
     }
   }
 
+  // Labels and aria-labelledby targets live in the element's own document or shadow root
+  const root = element.getRootNode();
+
   // Method 3: Check for <label> with matching 'for' attribute
   if (element.id) {
-    const label = document.querySelector(`label[for="${element.id}"]`);
+    const label = root.querySelector(`label[for="${element.id}"]`);
     if (label) {
       labelText = label.textContent;
       return labelText.toLowerCase().trim();
@@ -252,7 +312,7 @@ const getFieldLabel = (element) => {
   // Method 6: Check generic aria-labelledby
   if (!labelText && element.getAttribute("aria-labelledby")) {
     const labelId = element.getAttribute("aria-labelledby");
-    const labelElement = document.getElementById(labelId);
+    const labelElement = root.getElementById(labelId);
     if (labelElement) {
       labelText = labelElement.textContent;
       return labelText.toLowerCase().trim();
@@ -283,6 +343,8 @@ const getFieldLabel = (element) => {
 
 /**
  * Normalize option text for fuzzy matching
+ * Also the answer bank's question key — must match normalizeQuestion() in
+ * server/src/utils/question.js (both are tested against the same samples)
  * @param {string} text - Text to normalize
  * @returns {string} Normalized text (lowercase, alphanumeric + space)
  */
@@ -315,7 +377,9 @@ const getRadioOptionLabel = (radioElement) => {
 
   // Method 2: Check for label with matching 'for' attribute
   if (radioElement.id) {
-    const label = document.querySelector(`label[for="${radioElement.id}"]`);
+    const label = radioElement
+      .getRootNode()
+      .querySelector(`label[for="${radioElement.id}"]`);
     if (label) {
       return label.textContent.toLowerCase().trim();
     }
@@ -346,7 +410,7 @@ const getRadioGroup = (radioElement) => {
   const name = radioElement.name;
   if (!name) return [radioElement];
   return Array.from(
-    document.querySelectorAll(`input[type="radio"][name="${name}"]`),
+    radioElement.getRootNode().querySelectorAll(`input[type="radio"][name="${name}"]`),
   );
 };
 
@@ -358,22 +422,85 @@ const selectOption = (option) => {
   if (option.tagName === "OPTION") {
     const select = option.closest("select");
     if (select) {
-      select.value = option.value;
-      select.dispatchEvent(new Event("change", { bubbles: true }));
-      select.dispatchEvent(new Event("input", { bubbles: true }));
+      setNativeProperty(select, "value", option.value);
+      select.dispatchEvent(new Event("change", { bubbles: true, composed: true }));
+      select.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
     }
   } else if (option.type === "radio") {
     if (!option.checked) {
       option.click();
       if (!option.checked) {
-        option.checked = true;
-        option.dispatchEvent(new Event("change", { bubbles: true }));
-        option.dispatchEvent(new Event("input", { bubbles: true }));
+        setNativeProperty(option, "checked", true);
+        option.dispatchEvent(new Event("change", { bubbles: true, composed: true }));
+        option.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
       }
     }
   }
 };
 
+/**
+ * Journal the selection of a Google Forms dropdown before it is changed
+ * @param {HTMLElement} element - The listbox element
+ */
+const snapshotGoogleDropdown = (element) => {
+  const previous = element.querySelector('[role="option"][aria-selected="true"]');
+  const previousValue = previous ? previous.getAttribute("data-value") : null;
+
+  recordFill(async () => {
+    if (previousValue === null) return false;
+    element.click();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    const option = Array.from(document.querySelectorAll('div[role="option"]')).find(
+      (o) => o.getAttribute("data-value") === previousValue,
+    );
+    if (!option) {
+      document.body.click();
+      return false;
+    }
+    option.click();
+    return true;
+  });
+};
+
+/**
+ * Journal the checked state of a click-driven choice group
+ * (Google Forms radios/checkboxes, Microsoft Forms choices)
+ * @param {NodeList|HTMLElement[]} options - role="radio" / role="checkbox" elements
+ * @param {HTMLElement|Document} scope - Question container (holds "Clear selection")
+ */
+const snapshotAriaChoices = (options, scope) => {
+  const previous = Array.from(options).map((option) => ({
+    option,
+    checked: option.getAttribute("aria-checked") === "true",
+  }));
+
+  recordFill(() => {
+    const changed = previous.filter(
+      ({ option, checked }) => (option.getAttribute("aria-checked") === "true") !== checked,
+    );
+    if (changed.length === 0) return true;
+
+    if (previous[0].option.getAttribute("role") === "radio") {
+      const prior = previous.find(({ checked }) => checked);
+      if (prior) {
+        prior.option.click();
+        return true;
+      }
+      // A radio cannot be unticked by clicking it — Google Forms offers "Clear selection"
+      const clearButton = Array.from(scope.querySelectorAll('[role="button"]')).find(
+        (button) => /clear selection/i.test(button.innerText || ""),
+      );
+      if (!clearButton) return false;
+      clearButton.click();
+      return true;
+    }
+
+    changed.forEach(({ option }) => option.click());
+    return true;
+  });
+};
+
 /**
  * Fill a Google Forms dropdown using click simulation (no .value assignment)
  * @param {HTMLElement} element - The listbox element
@@ -405,9 +532,9 @@ async function fillGoogleDropdown(element, profileValue) {
 }
 
 /**
- * Extract the label text from a Google Forms radio option
+ * Extract the label text from a Google Forms radio (or checkbox) option
  * Google Forms has complex DOM structure where the visible text might be in various places
- * @param {HTMLElement} radio - The role="radio" element
+ * @param {HTMLElement} radio - The role="radio" / role="checkbox" element
  * @returns {string} The option label text
  */
 const getGoogleRadioOptionText = (radio) => {
@@ -465,7 +592,7 @@ const getGoogleRadioOptionText = (radio) => {
     
     // Clone and remove radio, get remaining text
     const clone = parent.cloneNode(true);
-    const radioInClone = clone.querySelector('[role="radio"]');
+    const radioInClone = clone.querySelector('[role="radio"], [role="checkbox"]');
     if (radioInClone) radioInClone.remove();
     const remainingText = clone.innerText?.trim();
     if (remainingText) return remainingText;
@@ -521,6 +648,8 @@ async function fillGoogleDropdownHybrid(element, profileValue, fieldConfig) {
     }
   }
 
+  snapshotGoogleDropdown(element);
+
   // Click to open dropdown
   element.click();
   await new Promise((resolve) => setTimeout(resolve, 300));
@@ -622,6 +751,7 @@ function fillGoogleRadioHybrid(profileValue, fieldConfig, container = null) {
 
   const scope = container || document;
   const radios = scope.querySelectorAll('[role="radio"]');
+  snapshotAriaChoices(radios, scope);
 
   // Helper to check if target matches label (exact or whole word)
   const matchesTarget = (label, target) => {
@@ -695,206 +825,1631 @@ function fillGoogleRadioHybrid(profileValue, fieldConfig, container = null) {
 }
 
 /**
- * Deterministically match an option using defined aliases (Layer 1)
- * @param {HTMLElement} element - Select or Radio element
- * @param {string} profileValue - Value from profile
- * @param {Object} fieldConfig - Config from FIELD_MAP
- * @returns {HTMLElement|null} Matching option/radio or null
+ * Split a multi-valued profile entry ("Bangalore, Pune; Remote") into its parts
+ * @param {string|string[]} value - Profile value
+ * @returns {string[]} Trimmed, non-empty parts
  */
-const tryAliasMatch = (element, profileValue, fieldConfig) => {
-  if (!fieldConfig || !fieldConfig.options) return null;
+const splitMultiValue = (value) =>
+  (Array.isArray(value) ? value : String(value).split(/[,;|\n]/))
+    .map((part) => String(part).trim())
+    .filter(Boolean);
 
-  let targetAliases = [];
-  const normalizedProfile = normalizeOption(profileValue);
-  const isRadio = element.type === "radio";
+/**
+ * Match each part of a profile value to the options of a Google Forms checkbox group
+ * Uses the same alias + semantic layers as fillGoogleRadioHybrid (via findHybridOption)
+ * @param {HTMLElement} container - Question container holding the role="checkbox" options
+ * @param {string} profileValue - Value from profile (split only when config.multiValue)
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @returns {Object} { matches: HTMLElement[], unmatched: string[] }
+ */
+const matchGoogleCheckboxes = (container, profileValue, fieldConfig) => {
+  const checkboxes = Array.from(container.querySelectorAll('[role="checkbox"]'));
+  const parts = fieldConfig?.multiValue
+    ? splitMultiValue(profileValue)
+    : [String(profileValue)];
+
+  const matches = [];
+  const unmatched = [];
+  parts.forEach((part) => {
+    const match = findHybridOption(checkboxes, getGoogleRadioOptionText, part, fieldConfig);
+    if (!match) unmatched.push(part);
+    else if (!matches.includes(match)) matches.push(match);
+  });
 
-  // 1. Find matching concept in options map
-  for (const [key, aliases] of Object.entries(fieldConfig.options)) {
-    if (normalizeOption(key) === normalizedProfile) {
-      targetAliases = [...aliases, key];
-      break;
-    }
-    if (aliases.some((a) => normalizeOption(a) === normalizedProfile)) {
-      targetAliases = [...aliases, key];
-      break;
-    }
+  return { matches, unmatched };
+};
+
+/**
+ * Google Forms checkbox-group handler — ticks every option matched by the profile value
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @param {HTMLElement} container - Question container to scope the option search
+ * @returns {boolean} True if at least one option is ticked
+ */
+function fillGoogleCheckboxHybrid(profileValue, fieldConfig, container) {
+  const { matches } = matchGoogleCheckboxes(container, profileValue, fieldConfig);
+
+  if (matches.length === 0) {
+    if (DEBUG) log(`Google Checkbox No Match: "${profileValue}"`);
+    return false;
   }
 
-  if (targetAliases.length === 0) return null;
+  snapshotAriaChoices(container.querySelectorAll('[role="checkbox"]'), container);
+  matches.forEach((checkbox) => {
+    // Clicking an already-ticked option would untick it
+    if (checkbox.getAttribute("aria-checked") !== "true") checkbox.click();
+  });
+  if (DEBUG) log(`Google Checkbox Match: "${profileValue}" -> ${matches.length} option(s)`);
+  return true;
+}
 
-  // 2. Find DOM option matching any alias
-  const domOptions =
-    element.tagName === "SELECT"
-      ? Array.from(element.options)
-      : getRadioGroup(element);
+// Google Forms date/time sub-inputs, recognised by their (localized) aria-labels.
+// "Day of the month" contains "month" too, so day is tested first.
+const DATE_PART_PATTERNS = [
+  ["day", /\b(day|dd|jour|tag|d[ií]a|giorno)\b/i],
+  ["month", /\b(month|mm|mois|monat|mes|mese|m[eê]s)\b/i],
+  ["year", /\b(year|yyyy|yy|ann[ée]e|jahr|a[ñn]o|anno)\b/i],
+  ["hour", /\b(hours?|hh|heures?|stunden?|horas?|ore)\b/i],
+  ["minute", /\b(minutes?|min|minuten?|minutos?|minuti)\b/i],
+];
+const DATE_KINDS = ["day", "month", "year"];
 
-  for (const option of domOptions) {
-    // For radio buttons, use getRadioOptionLabel to get individual option text
-    const optionText = normalizeOption(
-      isRadio ? getRadioOptionLabel(option) : (option.text || option.value),
-    );
-    const optionValue = normalizeOption(option.value);
+/**
+ * Identify which date/time component a Google Forms sub-input holds
+ * @param {HTMLElement} input - Sub-input inside a date or time question
+ * @returns {string|null} day | month | year | hour | minute, or null if unrecognised
+ */
+const getDatePartKind = (input) => {
+  const text = `${input.getAttribute("aria-label") || ""} ${input.placeholder || ""}`;
+  const match = DATE_PART_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (match) return match[0];
+  return input.maxLength === 4 ? "year" : null;
+};
 
-    // Check each alias against this option
-    for (const alias of targetAliases) {
-      const normalizedAlias = normalizeOption(alias);
-      if (
-        optionText.includes(normalizedAlias) ||
-        optionValue === normalizedAlias
-      ) {
-        return option;
-      }
-    }
+/**
+ * Order of day/month/year in the form's locale (e.g. en-US → month, day, year)
+ * @param {string} [locale] - BCP 47 tag; defaults to the page's lang, then the browser's
+ * @returns {string[]} The three date kinds in display order
+ */
+const getLocaleDateOrder = (
+  locale = document.documentElement.lang || navigator.language || "en",
+) => {
+  try {
+    return new Intl.DateTimeFormat(locale, {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    })
+      .formatToParts(new Date(2000, 10, 22))
+      .map((part) => part.type)
+      .filter((type) => DATE_KINDS.includes(type));
+  } catch (err) {
+    return ["day", "month", "year"];
   }
+};
 
-  return null;
+/**
+ * Collect the sub-inputs of a Google Forms date or time question, in render order
+ * Unlabelled date parts take the remaining kinds in the locale's day/month/year order.
+ * @param {HTMLElement} container - Question container (role="listitem")
+ * @returns {Array} [{ input, kind }] — empty when the question is not a date/time widget
+ */
+const getGoogleDateTimeParts = (container) => {
+  const dateInput = container.querySelector('input[type="date"]');
+  if (dateInput) return [{ input: dateInput, kind: "date" }];
+
+  const parts = Array.from(
+    container.querySelectorAll('input:not([type="hidden"]):not([type="radio"]):not([type="checkbox"])'),
+  ).map((input) => ({ input, kind: getDatePartKind(input) }));
+
+  // A composite widget has at least two sub-inputs with distinct kinds; at most one
+  // unlabelled part is tolerated, and only in day/month/year widgets of three or more
+  const known = parts.filter((part) => part.kind);
+  const kinds = new Set(known.map((part) => part.kind));
+  const unknownCount = parts.length - known.length;
+  if (parts.length < 2 || kinds.size !== known.length) return [];
+  if (unknownCount > (parts.length >= 3 ? 1 : 0)) return [];
+
+  const remaining = getLocaleDateOrder().filter(
+    (kind) => !known.some((part) => part.kind === kind),
+  );
+  parts.forEach((part) => {
+    if (!part.kind) part.kind = remaining.shift() || null;
+  });
+
+  return parts.filter((part) => part.kind);
 };
 
 /**
- * Semantic fallback using fuzzy matching (Layer 2)
- * @param {HTMLElement} element - Select or Radio element
- * @param {string} profileValue - Value from profile
- * @returns {HTMLElement|null} Best matching option/radio or null
+ * Google Forms date/time handler — fills each sub-input from one date value
+ * Date questions fill only their date parts; the time of day is left to the user.
+ * @param {string} profileValue - Date value from profile (e.g. personal.dob)
+ * @param {Object} question - Google adapter question with parts [{ input, kind }]
+ * @returns {boolean} True if every targeted sub-input was filled
  */
-const trySemanticOptionMatch = (element, profileValue) => {
-  const normalizedProfile = normalizeOption(profileValue);
-  const isYesNo = ["yes", "no"].includes(normalizedProfile);
-  const isRadio = element.type === "radio";
+function fillGoogleDateTime(profileValue, question) {
+  const date = parseDateParts(profileValue);
+  if (!date) return false;
+
+  const pad = (n) => String(n).padStart(2, "0");
+  const values = {
+    date: `${date.year}-${pad(date.month)}-${pad(date.day)}`,
+    day: pad(date.day),
+    month: pad(date.month),
+    year: String(date.year),
+    hour: date.hour === null ? null : pad(date.hour),
+    minute: date.minute === null ? null : pad(date.minute),
+  };
 
-  const domOptions =
-    element.tagName === "SELECT"
-      ? Array.from(element.options)
-      : getRadioGroup(element);
+  const targets = question.parts.filter(({ kind }) =>
+    question.type === "google-time" ? values[kind] !== null : !["hour", "minute"].includes(kind),
+  );
+  if (targets.length === 0) return false;
 
-  let bestMatch = null;
-  let bestScore = 0;
+  targets.forEach(({ input, kind }) => {
+    if (input.value === values[kind]) return;
+    snapshotNativeField(input);
+    setInputValue(input, values[kind]);
+  });
+  if (DEBUG) log(`Google ${question.type}: filled ${targets.length} part(s)`);
+  return true;
+}
 
-  domOptions.forEach((option) => {
-    // Skip select placeholders
-    if (
-      element.tagName === "SELECT" &&
-      option.value === "" &&
-      domOptions.length > 1
-    )
-      return;
+/**
+ * Extract the label text from a Microsoft Forms choice option
+ * @param {HTMLElement} option - The role="radio" / role="option" element
+ * @returns {string} The option label text
+ */
+const getMsOptionText = (option) => {
+  if (option.getAttribute("aria-label")) {
+    return option.getAttribute("aria-label");
+  }
 
-    // For radio buttons, use getRadioOptionLabel to get individual option text
-    // For select options, use option.text
-    const optionText = normalizeOption(
-      isRadio ? getRadioOptionLabel(option) : (option.text || option.value),
-    );
-    const optionValue = normalizeOption(option.value);
+  const textNode = option.querySelector(".text-format-content");
+  if (textNode?.innerText?.trim()) {
+    return textNode.innerText.trim();
+  }
 
-    if (DEBUG && isRadio) {
-      log(`Radio option: text="${optionText}", value="${optionValue}", profile="${normalizedProfile}"`);
-    }
+  const ownText = option.innerText?.trim();
+  if (ownText) return ownText;
 
-    let score = 0;
+  // Radio circle and its text are siblings inside the choice item
+  const choiceItem = option.closest('[data-automation-id="choiceItem"]');
+  return choiceItem?.innerText?.trim() || option.getAttribute("value") || "";
+};
 
-    if (isYesNo) {
-      // Strict check for Yes/No
-      if (
-        optionText === normalizedProfile ||
-        optionValue === normalizedProfile
-      ) {
-        score = 1.0;
+/**
+ * Acceptable option texts for a profile value: the value itself, or every variant of
+ * the FIELD_MAP alias group it belongs to (e.g. "CSE" → "computer science", ...)
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @returns {string[]} Normalized target texts
+ */
+const getAliasTargets = (profileValue, fieldConfig) => {
+  const normalizedProfile = normalizeOption(profileValue);
+  if (fieldConfig?.options) {
+    for (const [key, aliases] of Object.entries(fieldConfig.options)) {
+      const allVariants = [key, ...aliases];
+      if (allVariants.some((v) => normalizeOption(v) === normalizedProfile)) {
+        return [...new Set(allVariants.map(normalizeOption))];
       }
-    } else {
-      // Fuzzy check
-      const scoreText = calculateOptionScore(optionText, normalizedProfile);
-      const scoreValue = calculateOptionScore(optionValue, normalizedProfile);
-      score = Math.max(scoreText, scoreValue);
     }
-
-    if (score > bestScore) {
-      bestScore = score;
-      bestMatch = option;
-    }
-  });
-
-  if (DEBUG && bestMatch)
-    log(
-      `Semantic Match: "${profileValue}" matched "${bestMatch.value}" (Score: ${bestScore})`,
-    );
-  return bestScore >= 0.6 ? bestMatch : null;
+  }
+  return [normalizedProfile];
 };
 
 /**
- * Calculate similarity score between two normalized strings
- * @param {string} target - Candidate string (e.g. option text)
- * @param {string} query - Query string (e.g. profile value)
- * @returns {number} Score 0-1
+ * Pick the best option element using the layered strategy of the Google handlers:
+ * alias exact match → alias whole-word match → semantic score (>= 0.6)
+ * @param {HTMLElement[]} options - Candidate option elements
+ * @param {Function} getText - Returns the raw label text of an option
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @returns {HTMLElement|null} Best matching option or null
  */
-const calculateOptionScore = (target, query) => {
-  if (!target || !query) return 0;
+const findHybridOption = (options, getText, profileValue, fieldConfig) => {
+  const normalizedProfile = normalizeOption(profileValue);
+  const targetTexts = getAliasTargets(profileValue, fieldConfig);
 
-  if (target === query) return 1.0;
-  if (target.includes(query)) return 0.8;
-  if (query.includes(target)) return 0.7;
+  const labelled = Array.from(options)
+    .map((option) => ({ option, label: normalizeOption(getText(option)) }))
+    .filter(({ label }) => label.length > 0);
 
-  const queryTokens = query.split(" ");
-  const targetTokens = target.split(" ");
-  const commonTokens = queryTokens.filter((t) => targetTokens.includes(t));
+  // Layer 1a: Exact match first (highest priority)
+  for (const { option, label } of labelled) {
+    if (targetTexts.includes(label)) return option;
+  }
 
-  if (commonTokens.length > 0) {
-    return Math.min(0.6, commonTokens.length * 0.2);
+  // Layer 1b: Whole word match (second priority)
+  for (const { option, label } of labelled) {
+    for (const target of targetTexts) {
+      if (!target || target.length <= 1) continue;
+      const wordBoundary = new RegExp(`\\b${target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+      if (wordBoundary.test(label)) return option;
+    }
   }
 
-  return 0;
+  // Layer 2: Semantic fallback (probabilistic)
+  let bestOption = null;
+  let bestScore = 0;
+  for (const { option, label } of labelled) {
+    const score = calculateOptionScore(label, normalizedProfile);
+    if (score > bestScore) {
+      bestScore = score;
+      bestOption = option;
+    }
+  }
+
+  return bestScore >= 0.6 ? bestOption : null;
 };
 
 /**
- * Fill a form field with a value and dispatch events (Google Forms compatible)
- * Supports Text, Radio, and Select inputs with Semantic Matching
+ * Microsoft Forms choice-group handler with hybrid option matching (alias + semantic)
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @param {HTMLElement} container - Question container to scope the option search
+ * @returns {boolean} True if an option was selected
+ */
+function fillMsChoiceHybrid(profileValue, fieldConfig, container) {
+  const radios = container.querySelectorAll('[role="radio"]');
+  const match = findHybridOption(radios, getMsOptionText, profileValue, fieldConfig);
+
+  if (!match) {
+    if (DEBUG) log(`MS Choice No Match: "${profileValue}"`);
+    return false;
+  }
+
+  snapshotAriaChoices(radios, container);
+  match.click();
+  if (DEBUG) log(`MS Choice Match: "${profileValue}" -> "${getMsOptionText(match)}"`);
+  // Verify the widget accepted the click (aria-checked flips on selection)
+  return match.getAttribute("aria-checked") !== "false";
+}
+
+/**
+ * Microsoft Forms dropdown handler with hybrid option matching (alias + semantic)
+ * Options render in a popup layer outside the question, so they are read from document
+ * @param {HTMLElement} element - The combobox / listbox trigger element
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @returns {Promise<boolean>} True if an option was selected
+ */
+async function fillMsDropdownHybrid(element, profileValue, fieldConfig) {
+  const previousText = (element.innerText || "").trim();
+  recordFill(async () => {
+    element.click();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const option = Array.from(document.querySelectorAll('[role="listbox"] [role="option"]')).find(
+      (o) => getMsOptionText(o).trim() === previousText,
+    );
+    if (!option) {
+      // Previous text was the placeholder — MS Forms has no way to clear a dropdown
+      element.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+      return false;
+    }
+    option.click();
+    return true;
+  });
+
+  // Click to open dropdown
+  element.click();
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  const options = document.querySelectorAll('[role="listbox"] [role="option"]');
+  const match = findHybridOption(options, getMsOptionText, profileValue, fieldConfig);
+
+  if (match) {
+    match.click();
+    if (DEBUG) log(`MS Dropdown Match: "${profileValue}" -> "${getMsOptionText(match)}"`);
+    return true;
+  }
+
+  // Close dropdown if no match
+  element.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  if (DEBUG) log(`MS Dropdown No Match: "${profileValue}"`);
+  return false;
+}
+
+/**
+ * Custom JS dropdowns on regular pages: Select2, Choices.js, react-select,
+ * MUI Select / Autocomplete. All of them expose an ARIA combobox trigger and render
+ * their options (often lazily, often in a portal) as role="option" elements.
+ */
+const COMBOBOX_SELECTOR = '[role="combobox"], [aria-haspopup="listbox"]';
+// Select2 4.0 renders its results as a tree of treeitems
+const COMBOBOX_OPTION_SELECTOR =
+  '[role="listbox"] [role="option"], [role="tree"] [role="treeitem"]';
+// Native selects a widget hides and keeps in sync — filled through the widget instead
+const ENHANCED_SELECT_SELECTOR = "select.select2-hidden-accessible, select.choices__input";
+const COMBOBOX_WIDGET_SELECTOR =
+  ".select2-container, .choices, .MuiAutocomplete-root, .MuiFormControl-root";
+const COMBOBOX_OPTION_WAIT_MS = 2000; // async (type-to-search) options
+const COMBOBOX_POLL_MS = 100;
+const COMBOBOX_MAX_SEARCH_TERMS = 3;
+
+/**
+ * Native select behind a Select2 / Choices.js widget
+ * @param {HTMLElement} element - Combobox trigger
+ * @returns {HTMLSelectElement|null} The hidden select
+ */
+const getEnhancedSelect = (element) => {
+  const select2 = element.closest(".select2-container")?.previousElementSibling;
+  if (select2?.matches("select")) return select2;
+  return element.closest(".choices")?.querySelector("select") || null;
+};
+
+/**
+ * Press-and-release like a real pointer: widgets open and select on mousedown
+ * (Select2, react-select, MUI Select), mouseup (Select2 results) or click
+ * @param {HTMLElement} element - Element to click
+ */
+const simulatePointerClick = (element) => {
+  const options = { bubbles: true, cancelable: true, composed: true, button: 0 };
+  const PointerEventClass = typeof PointerEvent === "function" ? PointerEvent : MouseEvent;
+  element.dispatchEvent(new PointerEventClass("pointerdown", options));
+  element.dispatchEvent(new MouseEvent("mousedown", options));
+  element.dispatchEvent(new PointerEventClass("pointerup", options));
+  element.dispatchEvent(new MouseEvent("mouseup", options));
+  element.dispatchEvent(new MouseEvent("click", options));
+};
+
+/**
+ * Text of a custom dropdown option
+ * @param {HTMLElement} option - role="option" / role="treeitem" element
+ * @returns {string} Option label
+ */
+const getComboboxOptionText = (option) =>
+  (option.getAttribute("aria-label") || option.innerText || option.textContent || "").trim();
+
+/**
+ * Options of an open custom dropdown: the popup named by aria-controls / aria-owns,
+ * else the widget itself (Choices.js), else any open listbox (portals, Select2)
+ * @param {Object} question - Combobox question descriptor
+ * @returns {HTMLElement[]} Enabled option elements
+ */
+const getComboboxOptions = ({ element, container }) => {
+  const root = element.getRootNode();
+  const popupIds = `${element.getAttribute("aria-controls") || ""} ${element.getAttribute("aria-owns") || ""}`
+    .split(/\s+/)
+    .filter(Boolean);
+  const popup = popupIds.map((id) => root.getElementById(id)).find(Boolean);
+
+  const scopes = [popup, container, root].filter(Boolean);
+  for (const scope of scopes) {
+    const options = Array.from(
+      scope.matches?.('[role="listbox"], [role="tree"]')
+        ? scope.querySelectorAll('[role="option"], [role="treeitem"]')
+        : scope.querySelectorAll(COMBOBOX_OPTION_SELECTOR),
+    ).filter(
+      (option) =>
+        option.getAttribute("aria-disabled") !== "true" &&
+        !option.closest('[hidden], [aria-hidden="true"]') &&
+        // Choices.js keeps every widget's closed dropdown in the DOM
+        (scope !== root || !option.closest(".choices")),
+    );
+    if (options.length > 0) return options;
+  }
+  return [];
+};
+
+/**
+ * Text the widget currently shows as its selection ("" when empty)
+ * @param {Object} question - Combobox question descriptor
+ * @returns {string} Selected option text
+ */
+const getComboboxValueText = ({ element, container, source }) => {
+  if (source) return source.selectedOptions[0]?.value ? source.selectedOptions[0].text.trim() : "";
+  // react-select keeps the selection next to its (empty) search input
+  const singleValue = container?.querySelector('[class*="singleValue"], [class*="single-value"]');
+  if (singleValue) return singleValue.textContent.trim();
+  if (element.tagName === "INPUT") return element.value.trim();
+  // MUI renders an empty Select as a zero-width space
+  return element.textContent.replace(/\u200b/g, "").trim();
+};
+
+/**
+ * Type a search term into a type-to-search widget. No blur: react-select and MUI
+ * close their menu when the input loses focus.
+ * @param {HTMLInputElement} input - Search input
+ * @param {string} text - Search term
+ */
+const typeComboboxSearch = (input, text) => {
+  const options = { bubbles: true, composed: true };
+  input.focus();
+  setNativeProperty(input, "value", text);
+  input.dispatchEvent(new InputEvent("input", { ...options, inputType: "insertText", data: text }));
+  // Choices.js and older Select2 search on keyup
+  input.dispatchEvent(new KeyboardEvent("keyup", { ...options, key: text.slice(-1) }));
+};
+
+/**
+ * Search input of an open widget: the combobox input itself (react-select, MUI
+ * Autocomplete) or the search box Select2 / Choices.js render in their dropdown
+ * @param {Object} question - Combobox question descriptor
+ * @returns {HTMLInputElement|null} Search input
+ */
+const getComboboxSearchInput = ({ element, container }) => {
+  if (element.tagName === "INPUT") return element;
+  return (
+    container?.querySelector("input.choices__input--cloned") ||
+    element.getRootNode().querySelector(".select2-container--open .select2-search__field") ||
+    null
+  );
+};
+
+/**
+ * Poll until the widget shows an option matching the profile value
+ * @param {Object} question - Combobox question descriptor
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @param {boolean} untilMatch - Keep polling for a match (async search results);
+ *                               otherwise stop as soon as any options are rendered
+ * @returns {Promise<HTMLElement|null>} Matching option or null
+ */
+const waitForComboboxOption = async (question, profileValue, fieldConfig, untilMatch) => {
+  const deadline = Date.now() + COMBOBOX_OPTION_WAIT_MS;
+  for (;;) {
+    const options = getComboboxOptions(question);
+    const match = findHybridOption(options, getComboboxOptionText, profileValue, fieldConfig);
+    if (match || (options.length > 0 && !untilMatch) || Date.now() >= deadline) return match;
+    await new Promise((resolve) => setTimeout(resolve, COMBOBOX_POLL_MS));
+  }
+};
+
+/**
+ * Journal a custom dropdown's selection before it is changed
+ * @param {Object} question - Combobox question descriptor
+ */
+const snapshotCombobox = (question) => {
+  const previousText = getComboboxValueText(question);
+  recordFill(async () => {
+    if (!previousText) {
+      // Widgets have no common way to clear a selection; free-text inputs just empty
+      if (question.element.tagName !== "INPUT" || question.source) return false;
+      setInputValue(question.element, "");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      return getComboboxValueText(question) === "";
+    }
+    simulatePointerClick(question.element);
+    const option = await waitForComboboxOption(question, previousText, null, true);
+    if (!option) {
+      question.element.dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+      return false;
+    }
+    simulatePointerClick(option);
+    return true;
+  });
+};
+
+/**
+ * Custom dropdown handler with hybrid option matching (alias + semantic)
+ * Opens the widget, picks from the rendered options and, if none match, types the
+ * value (then its aliases) into the search box and waits for async results.
+ * @param {Object} question - Combobox question descriptor
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - FIELD_MAP config with options aliases
+ * @returns {Promise<boolean>} True if the widget now shows the chosen option
+ */
+async function fillComboboxHybrid(question, profileValue, fieldConfig) {
+  const { element } = question;
+  snapshotCombobox(question);
+
+  element.focus();
+  simulatePointerClick(element);
+  if (getComboboxOptions(question).length === 0) {
+    // Some widgets only open from the keyboard
+    element.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true, composed: true }),
+    );
+  }
+  let match = await waitForComboboxOption(question, profileValue, fieldConfig, false);
+
+  const searchInput = match ? null : getComboboxSearchInput(question);
+  if (searchInput) {
+    const terms = [String(profileValue), ...getAliasTargets(profileValue, fieldConfig)];
+    for (const term of [...new Set(terms)].slice(0, COMBOBOX_MAX_SEARCH_TERMS)) {
+      typeComboboxSearch(searchInput, term);
+      match = await waitForComboboxOption(question, profileValue, fieldConfig, true);
+      if (match) break;
+    }
+  }
+
+  if (!match) {
+    (searchInput || element).dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Escape", bubbles: true, composed: true }),
+    );
+    if (DEBUG) log(`Combobox No Match: "${profileValue}"`);
+    // Free-text comboboxes (suggestion lists, MUI freeSolo) accept the typed value;
+    // select-only widgets clear it on blur and fail verify
+    if (element.tagName === "INPUT" && !question.source) {
+      return setInputValue(element, String(profileValue));
+    }
+    return false;
+  }
+
+  const optionText = getComboboxOptionText(match);
+  simulatePointerClick(match);
+  await new Promise((resolve) => setTimeout(resolve, COMBOBOX_POLL_MS));
+  if (DEBUG) log(`Combobox Match: "${profileValue}" -> "${optionText}"`);
+  // Confirm the widget took the click (its display switches to the option text)
+  return normalizeOption(getComboboxValueText(question)) === normalizeOption(optionText);
+}
+
+/**
+ * Deterministically match an option using defined aliases (Layer 1)
+ * @param {HTMLElement} element - Select or Radio element
+ * @param {string} profileValue - Value from profile
+ * @param {Object} fieldConfig - Config from FIELD_MAP
+ * @returns {HTMLElement|null} Matching option/radio or null
+ */
+const tryAliasMatch = (element, profileValue, fieldConfig) => {
+  if (!fieldConfig || !fieldConfig.options) return null;
+
+  let targetAliases = [];
+  const normalizedProfile = normalizeOption(profileValue);
+  const isRadio = element.type === "radio";
+
+  // 1. Find matching concept in options map
+  for (const [key, aliases] of Object.entries(fieldConfig.options)) {
+    if (normalizeOption(key) === normalizedProfile) {
+      targetAliases = [...aliases, key];
+      break;
+    }
+    if (aliases.some((a) => normalizeOption(a) === normalizedProfile)) {
+      targetAliases = [...aliases, key];
+      break;
+    }
+  }
+
+  if (targetAliases.length === 0) return null;
+
+  // 2. Find DOM option matching any alias
+  const domOptions =
+    element.tagName === "SELECT"
+      ? Array.from(element.options)
+      : getRadioGroup(element);
+
+  // For radio buttons, use getRadioOptionLabel to get individual option text
+  const labelled = domOptions.map((option) => ({
+    option,
+    optionText: normalizeOption(
+      isRadio ? getRadioOptionLabel(option) : (option.text || option.value),
+    ),
+    optionValue: normalizeOption(option.value),
+  }));
+  const normalizedAliases = targetAliases.map(normalizeOption);
+
+  // Exact text/value first, so "Male" isn't taken by "Female" or "India" by "Indonesia"
+  for (const { option, optionText, optionValue } of labelled) {
+    if (normalizedAliases.some((alias) => optionText === alias || optionValue === alias)) {
+      return option;
+    }
+  }
+
+  // Then whole-word containment ("Karnataka (KA)"); single letters only ever match exactly
+  for (const { option, optionText } of labelled) {
+    const paddedText = ` ${optionText} `;
+    if (normalizedAliases.some((alias) => alias.length > 1 && paddedText.includes(` ${alias} `))) {
+      return option;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Semantic fallback using fuzzy matching (Layer 2)
+ * @param {HTMLElement} element - Select or Radio element
+ * @param {string} profileValue - Value from profile
+ * @returns {HTMLElement|null} Best matching option/radio or null
+ */
+const trySemanticOptionMatch = (element, profileValue) => {
+  const normalizedProfile = normalizeOption(profileValue);
+  const isYesNo = ["yes", "no"].includes(normalizedProfile);
+  const isRadio = element.type === "radio";
+
+  const domOptions =
+    element.tagName === "SELECT"
+      ? Array.from(element.options)
+      : getRadioGroup(element);
+
+  let bestMatch = null;
+  let bestScore = 0;
+
+  domOptions.forEach((option) => {
+    // Skip select placeholders
+    if (
+      element.tagName === "SELECT" &&
+      option.value === "" &&
+      domOptions.length > 1
+    )
+      return;
+
+    // For radio buttons, use getRadioOptionLabel to get individual option text
+    // For select options, use option.text
+    const optionText = normalizeOption(
+      isRadio ? getRadioOptionLabel(option) : (option.text || option.value),
+    );
+    const optionValue = normalizeOption(option.value);
+
+    if (DEBUG && isRadio) {
+      log(`Radio option: text="${optionText}", value="${optionValue}", profile="${normalizedProfile}"`);
+    }
+
+    let score = 0;
+
+    if (isYesNo) {
+      // Strict check for Yes/No
+      if (
+        optionText === normalizedProfile ||
+        optionValue === normalizedProfile
+      ) {
+        score = 1.0;
+      }
+    } else {
+      // Fuzzy check
+      const scoreText = calculateOptionScore(optionText, normalizedProfile);
+      const scoreValue = calculateOptionScore(optionValue, normalizedProfile);
+      score = Math.max(scoreText, scoreValue);
+    }
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMatch = option;
+    }
+  });
+
+  if (DEBUG && bestMatch)
+    log(
+      `Semantic Match: "${profileValue}" matched "${bestMatch.value}" (Score: ${bestScore})`,
+    );
+  return bestScore >= 0.6 ? bestMatch : null;
+};
+
+/**
+ * Calculate similarity score between two normalized strings
+ * @param {string} target - Candidate string (e.g. option text)
+ * @param {string} query - Query string (e.g. profile value)
+ * @returns {number} Score 0-1
+ */
+const calculateOptionScore = (target, query) => {
+  if (!target || !query) return 0;
+
+  if (target === query) return 1.0;
+  if (target.includes(query)) return 0.8;
+  if (query.includes(target)) return 0.7;
+
+  const queryTokens = query.split(" ");
+  const targetTokens = target.split(" ");
+  const commonTokens = queryTokens.filter((t) => targetTokens.includes(t));
+
+  if (commonTokens.length > 0) {
+    return Math.min(0.6, commonTokens.length * 0.2);
+  }
+
+  return 0;
+};
+
+/**
+ * Fill a form field with a value and dispatch events (Google Forms compatible)
+ * Supports Text, Radio, and Select inputs with Semantic Matching
  * @param {HTMLElement} element - The form field element
  * @param {string} value - The value to fill
  * @param {Object} [fieldConfig] - Config for the field (for aliases)
  */
 /**
- * Check if a value is numeric (integer or decimal)
- * @param {string} value - Value to check
- * @returns {boolean} True if numeric
+ * Check if a value is numeric (integer or decimal)
+ * @param {string} value - Value to check
+ * @returns {boolean} True if numeric
+ */
+const isNumericValue = (value) => {
+  if (!value) return false;
+  return !isNaN(parseFloat(value)) && isFinite(value);
+};
+
+/**
+ * Split a date (and optional time) value into numeric parts
+ * ISO strings are read literally so a stored "2003-05-14T00:00:00.000Z" never
+ * shifts a day in timezones west of UTC
+ * @param {string} value - Date value (could be various formats)
+ * @returns {Object|null} { year, month, day, hour, minute } — hour/minute null when absent
+ */
+const parseDateParts = (value) => {
+  if (!value) return null;
+
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+  if (iso) {
+    return {
+      year: Number(iso[1]),
+      month: Number(iso[2]),
+      day: Number(iso[3]),
+      hour: iso[4] ? Number(iso[4]) : null,
+      minute: iso[5] ? Number(iso[5]) : null,
+    };
+  }
+
+  // Try to parse other formats
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    hour: null,
+    minute: null,
+  };
+};
+
+/**
+ * Text-input date formats considered when inferring what a field expects, most
+ * common first: the first one left is the suggestion when hints can't settle it.
+ * Tokens: DD, MM, MMM (Jan), MMMM (January), YY, YYYY.
+ */
+const DATE_FORMAT_CANDIDATES = [
+  "DD/MM/YYYY",
+  "MM/DD/YYYY",
+  "YYYY-MM-DD",
+  "DD-MM-YYYY",
+  "MM-DD-YYYY",
+  "DD.MM.YYYY",
+  "YYYY/MM/DD",
+  "DD-MMM-YYYY",
+  "DD MMM YYYY",
+  "MMM DD, YYYY",
+  "DD MMMM YYYY",
+  "MMMM DD, YYYY",
+  "DD/MM/YY",
+  "MM/DD/YY",
+  "DD-MM-YY",
+];
+const DEFAULT_DATE_FORMAT = DATE_FORMAT_CANDIDATES[0];
+const DATE_FORMAT_TOKENS = /YYYY|YY|MMMM|MMM|MM|DD/g;
+
+// Probes for a field's pattern attribute: day 31 tells day from month, day 5 tells padding
+const DATE_FORMAT_PROBES = [
+  { year: 2000, month: 12, day: 31 },
+  { year: 2009, month: 1, day: 5 },
+];
+
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+// A written-out format such as "dd/mm/yyyy", "DD-MMM-YYYY" or "Mon dd, yyyy"
+const DATE_FORMAT_HINT_PATTERN =
+  /(?<![a-z])(dd?|m{1,4}|mon|yy(?:yy)?)(\s*[/.-]\s*|,?\s+)(dd?|m{1,4}|mon|yy(?:yy)?)(\s*[/.-]\s*|,?\s+)(dd?|m{1,4}|mon|yy(?:yy)?)(?![a-z])/i;
+
+/**
+ * Day / month / year order of a format, e.g. "DD-MMM-YYYY" → "day month year"
+ * @param {string} format - Format template
+ * @returns {string} Space-separated date kinds
+ */
+const getDateFormatOrder = (format) =>
+  (format.match(DATE_FORMAT_TOKENS) || [])
+    .map((token) => ({ D: "day", M: "month", Y: "year" })[token[0]])
+    .join(" ");
+
+/**
+ * Write date parts in a format template
+ * @param {Object} parts - { year, month, day } from parseDateParts
+ * @param {string} format - Format template, e.g. "DD-MMM-YY"
+ * @returns {string} Formatted date
+ */
+const renderDateFormat = (parts, format) =>
+  format.replace(DATE_FORMAT_TOKENS, (token) => {
+    if (token === "YYYY") return String(parts.year);
+    if (token === "YY") return String(parts.year % 100).padStart(2, "0");
+    if (token === "MMMM") return MONTH_NAMES[parts.month - 1];
+    if (token === "MMM") return MONTH_NAMES[parts.month - 1].slice(0, 3);
+    if (token === "MM") return String(parts.month).padStart(2, "0");
+    return String(parts.day).padStart(2, "0");
+  });
+
+/**
+ * Turn a written-out format in hint text into a format template
+ * @param {string} text - Placeholder, label or helper text
+ * @returns {string|null} Template such as "MM/DD/YYYY", or null when none is spelled out
+ */
+const findDateFormatHint = (text) => {
+  const match = String(text || "").match(DATE_FORMAT_HINT_PATTERN);
+  if (!match) return null;
+
+  const tokens = [match[1], match[3], match[5]].map((word) => {
+    const lower = word.toLowerCase();
+    if (lower.startsWith("d")) return "DD";
+    if (lower.startsWith("y")) return lower.length === 4 ? "YYYY" : "YY";
+    if (lower === "mmmm") return "MMMM";
+    return lower === "mon" || lower === "mmm" ? "MMM" : "MM";
+  });
+  // Each of day, month and year exactly once ("mm/dd/mm" is not a date format)
+  if (new Set(tokens.map((token) => token[0])).size !== 3) return null;
+
+  const separator = (raw) => (raw.includes(",") ? ", " : raw.trim() || " ");
+  return `${tokens[0]}${separator(match[2])}${tokens[1]}${separator(match[4])}${tokens[2]}`;
+};
+
+/**
+ * Whether hint text contains an example date ("e.g. 31/12/2000") that is valid
+ * when read in the given format
+ * @param {string} text - Placeholder, label or helper text
+ * @param {string} format - Format template
+ * @returns {boolean} True if some date in the text fits the format
+ */
+const hasDateExample = (text, format) => {
+  const tokens = [];
+  const source = format
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(DATE_FORMAT_TOKENS, (token) => {
+      tokens.push(token);
+      if (token === "MMMM") return "([a-z]{4,9})";
+      if (token === "MMM") return "([a-z]{3})\\.?";
+      if (token === "YYYY") return "(\\d{4})";
+      return token === "YY" ? "(\\d{2})" : "(\\d{1,2})";
+    });
+
+  for (const match of String(text || "").matchAll(new RegExp(`(?<!\\w)${source}(?!\\w)`, "gi"))) {
+    const values = {};
+    tokens.forEach((token, index) => { values[token] = match[index + 1]; });
+    const monthName = values.MMM || values.MMMM;
+    const month = monthName
+      ? MONTH_NAMES.findIndex((name) => name.toLowerCase().startsWith(monthName.toLowerCase())) + 1
+      : Number(values.MM);
+    const day = Number(values.DD);
+    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) return true;
+  }
+  return false;
+};
+
+/**
+ * Text around a field that may describe what it expects (a date format, a grade
+ * scale): placeholder, title, aria-describedby targets, the label, and the text of
+ * the wrapper that holds only this field
+ * @param {HTMLElement} element - Form field
+ * @returns {string[]} Hint texts, most specific first
+ */
+const getFieldHintTexts = (element) => {
+  const root = element.getRootNode();
+  const describedBy = (element.getAttribute("aria-describedby") || "")
+    .split(/\s+/)
+    .map((id) => (id && root.getElementById ? root.getElementById(id)?.textContent : ""))
+    .join(" ");
+
+  // Widest ancestor (up to three levels) that wraps no other form control
+  let helperText = "";
+  let node = element.parentElement;
+  for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+    if (node.querySelectorAll("input, select, textarea").length > 1) break;
+    helperText = (node.textContent || "").slice(0, 300);
+  }
+
+  return [element.placeholder, element.title, describedBy, getFieldLabel(element), helperText]
+    .filter((text) => text && text.trim());
+};
+
+/**
+ * The field's pattern attribute as a whole-value RegExp, the way the browser applies it
+ * @param {HTMLElement} element - Input with an optional pattern attribute
+ * @returns {RegExp|null} Anchored pattern, or null when absent or invalid
+ */
+const getPatternRegExp = (element) => {
+  const pattern = element.getAttribute("pattern");
+  if (!pattern) return null;
+  try {
+    return new RegExp(`^(?:${pattern})$`, "u");
+  } catch (err) {
+    if (DEBUG) log(`Pattern ignored: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * Infer the date format a text field expects. A spelled-out format in the
+ * placeholder, label or helper text wins; otherwise the candidates are narrowed by
+ * the pattern attribute, example dates in the hints and an explicit page language
+ * (a bare "en" says nothing about day/month order).
+ * @param {HTMLElement} element - Text input receiving a date
+ * @returns {Object} { format, ambiguous } — ambiguous when day/month/year order is unsettled
+ */
+const inferDateFormat = (element) => {
+  const hints = getFieldHintTexts(element);
+  for (const text of hints) {
+    const format = findDateFormatHint(text);
+    if (format) return { format, ambiguous: false };
+  }
+
+  let candidates = DATE_FORMAT_CANDIDATES;
+  // A hint that rules out every candidate is ignored rather than trusted
+  const narrow = (keep) => {
+    const kept = candidates.filter(keep);
+    if (kept.length > 0) candidates = kept;
+  };
+
+  const pattern = getPatternRegExp(element);
+  if (pattern) {
+    narrow((format) =>
+      DATE_FORMAT_PROBES.every((probe) => pattern.test(renderDateFormat(probe, format))),
+    );
+  }
+
+  narrow((format) => hints.some((text) => hasDateExample(text, format)));
+
+  const lang = element.closest("[lang]")?.getAttribute("lang") || "";
+  if (lang && !/^en$/i.test(lang)) {
+    const order = getLocaleDateOrder(lang).join(" ");
+    narrow((format) => getDateFormatOrder(format) === order);
+  }
+
+  const orders = new Set(candidates.map(getDateFormatOrder));
+  return { format: candidates[0], ambiguous: orders.size > 1 };
+};
+
+/**
+ * Format date value for different input types
+ * @param {string} value - Date value (could be various formats)
+ * @param {string} inputType - The input type (date, text, etc.)
+ * @param {string} [format] - Template for text inputs (see DATE_FORMAT_CANDIDATES)
+ * @returns {string} Formatted date string
+ */
+const formatDateValue = (value, inputType, format = DEFAULT_DATE_FORMAT) => {
+  if (!value) return '';
+  
+  const parts = parseDateParts(value);
+  if (!parts) {
+    return value; // Return as-is if not a valid date
+  }
+  
+  const year = parts.year;
+  const month = String(parts.month).padStart(2, '0');
+  const day = String(parts.day).padStart(2, '0');
+  
+  if (inputType === 'date') {
+    // Format as YYYY-MM-DD for HTML5 date inputs
+    return `${year}-${month}-${day}`;
+  }
+  
+  return renderDateFormat(parts, format);
+};
+
+/**
+ * Format a date for a specific field: YYYY-MM-DD for native date inputs, the
+ * inferred format for text inputs
+ * @param {HTMLElement} element - Field receiving the date
+ * @param {string} value - Date value from profile
+ * @returns {string} Formatted date string
+ */
+const formatDateForField = (element, value) => {
+  const inputType = (element.type || element.tagName).toLowerCase();
+  if (inputType === "date") return formatDateValue(value, inputType);
+  return formatDateValue(value, inputType, inferDateFormat(element).format);
+};
+
+/**
+ * Calling code and national number length per country (ISO 3166 alpha-2).
+ * Mirrors server/src/utils/phone.js, which stores profile phones in E.164;
+ * test/phoneNormalization.test.js keeps the two in step.
+ */
+const PHONE_COUNTRIES = {
+  IN: { dial: "91", length: 10 },
+  US: { dial: "1", length: 10 },
+  CA: { dial: "1", length: 10 },
+  GB: { dial: "44", length: 10 },
+  AE: { dial: "971", length: 9 },
+  SG: { dial: "65", length: 8 },
+  AU: { dial: "61", length: 9 },
+  NP: { dial: "977", length: 10 },
+  BD: { dial: "880", length: 10 },
+  LK: { dial: "94", length: 9 },
+  SA: { dial: "966", length: 9 },
+  QA: { dial: "974", length: 8 },
+};
+
+/**
+ * E.164 form of a profile phone. Profiles saved before phones were normalized
+ * hold bare national numbers; those get the profile's country code.
+ * @param {string} phone - personal.phone
+ * @param {string} country - personal.phone_country (defaults to IN)
+ * @returns {string} E.164 number, or the input unchanged when it isn't a phone number
+ */
+const toE164 = (phone, country) => {
+  const raw = String(phone || "").trim();
+  if (!raw) return "";
+
+  const { dial, length } = PHONE_COUNTRIES[country] || PHONE_COUNTRIES.IN;
+  const digits = raw.replace(/\D/g, "");
+
+  let e164;
+  if (raw.startsWith("+")) e164 = `+${digits}`;
+  else if (digits.startsWith("00")) e164 = `+${digits.slice(2)}`;
+  else if (digits.startsWith(dial) && digits.length === dial.length + length) e164 = `+${digits}`;
+  else e164 = `+${dial}${digits.replace(/^0/, "")}`;
+
+  return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : raw;
+};
+
+/**
+ * Split an E.164 number into calling code and national number
+ * @param {string} value - E.164 phone number
+ * @returns {Object|null} { dial, national }, or null for unknown codes / non-E.164 input
+ */
+const splitE164 = (value) => {
+  const match = String(value || "").match(/^\+(\d+)$/);
+  if (!match) return null;
+  for (const { dial, length } of Object.values(PHONE_COUNTRIES)) {
+    if (match[1].startsWith(dial) && match[1].length === dial.length + length) {
+      return { dial, national: match[1].slice(dial.length) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Country-code dropdown that sits beside a phone input ("+91 ▾ [number]"): a
+ * select in the phone's own wrapper whose options are mostly calling codes
+ * @param {HTMLElement} element - Phone input
+ * @returns {HTMLSelectElement|null} The dropdown, or null if the form has none
+ */
+const findCountryCodeSelect = (element) => {
+  let node = element.parentElement;
+  for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+    // Stop once the wrapper holds other fields too — their selects aren't ours
+    const inputs = node.querySelectorAll(
+      'input:not([type="hidden"]):not([type="radio"]):not([type="checkbox"]), textarea',
+    );
+    if (inputs.length > 1) return null;
+
+    const select = Array.from(node.querySelectorAll("select")).find((candidate) => {
+      const options = Array.from(candidate.options);
+      const codes = options.filter((option) => /\+\s?\d{1,4}/.test(`${option.text} ${option.value}`));
+      return codes.length >= 2 && codes.length >= options.length / 2;
+    });
+    if (select) return select;
+  }
+  return null;
+};
+
+/**
+ * Option of a country-code dropdown for a calling code ("+91", "India (+91)", value "91")
+ * @param {HTMLSelectElement} select - Country-code dropdown
+ * @param {string} dial - Calling code without "+"
+ * @returns {HTMLOptionElement|null} Matching option
+ */
+const findDialCodeOption = (select, dial) => {
+  const codePattern = new RegExp(`\\+\\s?${dial}(?!\\d)`);
+  return (
+    Array.from(select.options).find(
+      (option) =>
+        codePattern.test(option.text) ||
+        option.value.trim().replace(/^\+/, "") === dial,
+    ) || null
+  );
+};
+
+/**
+ * Calling code a dropdown should show for a phone (E.164) or dial-code ("+91") value
+ * @param {string} value - Profile value
+ * @param {Object} config - FIELD_MAP config (isPhone or isDialCode)
+ * @returns {string|null} Code without "+", or null when the value has none
+ */
+const getDialCode = (value, config) =>
+  (config.isPhone ? splitE164(value)?.dial : String(value).replace(/^\+/, "")) || null;
+
+/**
+ * Shape an E.164 phone for one field: national digits when a country-code
+ * dropdown sits beside it, otherwise the variant its pattern accepts, then the one
+ * its placeholder/label describes, shortened to fit maxlength. National digits are
+ * the default, as most forms ask for a bare mobile number.
+ * @param {HTMLElement} element - Phone input
+ * @param {string} value - E.164 phone from the profile
+ * @returns {string} Phone as the field expects it
+ */
+const formatPhoneForField = (element, value) => {
+  const parts = splitE164(value);
+  if (!parts) return String(value);
+
+  const { dial, national } = parts;
+  const variants = {
+    national,
+    international: `+${dial}${national}`,
+    dashed: `${dial}-${national}`,
+    prefixed: `${dial}${national}`,
+  };
+  if (findCountryCodeSelect(element)) return national;
+
+  const pattern = getPatternRegExp(element);
+  const accepted = pattern && Object.values(variants).find((variant) => pattern.test(variant));
+  if (accepted) return accepted;
+
+  // What the placeholder shows or the label asks for
+  const hint = `${element.placeholder || ""} ${getFieldLabel(element)}`.toLowerCase();
+  const sample = (element.placeholder || "").match(/\+?\d[\d\s()-]{6,}\d/)?.[0] || "";
+  const sampleDigits = sample.replace(/\D/g, "");
+  let wanted = "national";
+  if (/without (the )?country code|\b10[ -]?digits?\b|\bten digits?\b/.test(hint)) wanted = "national";
+  else if (sample.startsWith("+") || /\+\d{1,3}\b|with (the )?country code|including country code/.test(hint)) {
+    wanted = "international";
+  } else if (/^\d{1,3}-/.test(sample) && sampleDigits.length === dial.length + national.length) {
+    wanted = "dashed";
+  } else if (sampleDigits.length === dial.length + national.length) wanted = "prefixed";
+
+  // Number inputs take digits only
+  if (element.type === "number" && ["international", "dashed"].includes(wanted)) wanted = "prefixed";
+
+  const maxLength = element.maxLength > 0 ? element.maxLength : Infinity;
+  if (variants[wanted].length <= maxLength) return variants[wanted];
+  return Object.values(variants).find((variant) => variant.length <= maxLength) || national;
+};
+
+/**
+ * Select the calling code of an E.164 phone in the dropdown beside its input
+ * @param {HTMLElement} element - Phone input
+ * @param {string} value - E.164 phone from the profile
+ */
+const fillCountryCodeSelect = (element, value) => {
+  const parts = splitE164(value);
+  const select = parts && findCountryCodeSelect(element);
+  if (!select) return;
+
+  const option = findDialCodeOption(select, parts.dial);
+  if (!option || option.selected) return;
+  snapshotNativeField(select);
+  selectOption(option);
+};
+
+/**
+ * CGPA → percentage rules universities publish, as
+ * percentage = factor × CGPA + offset on a 10-point CGPA.
+ * "custom" takes factor/offset from the profile and applies them on its own scale.
+ */
+const CGPA_RULES = {
+  "x9.5": { factor: 9.5, offset: 0 }, // CBSE, AICTE, VTU and most Indian universities
+  "minus0.75x10": { factor: 10, offset: -7.5 }, // (CGPA − 0.75) × 10, University of Mumbai
+  x10: { factor: 10, offset: 0 },
+};
+
+/**
+ * Grade scale a field states in its placeholder, label or helper text:
+ * "CGPA (out of 4)", "GPA on a 4-point scale", "CPI / 10", "4.0 scale"
+ */
+const GRADE_SCALE_PATTERNS = [
+  /\b(\d{1,2}(?:\.0+)?)\s*-?\s*point\b/,
+  /out of\s*(\d{1,2}(?:\.0+)?)\b/,
+  /scale of\s*(\d{1,2}(?:\.0+)?)\b/,
+  /\b(\d{1,2}(?:\.0+)?)\s*(?:grade\s*)?scale\b/,
+  /\/\s*(\d{1,2}(?:\.0+)?)(?![\d.])/,
+];
+
+/**
+ * Round a computed grade to two decimals without trailing zeros ("80.75", "8", "3.4")
+ * @param {number} grade - Computed grade
+ * @returns {string} Grade as a string
+ */
+const roundGrade = (grade) => String(Math.round(grade * 100) / 100);
+
+/**
+ * The profile's CGPA scale and its university's CGPA → percentage rule
+ * @param {Object} academics - profile.academics
+ * @returns {Object|null} { factor, offset, ruleScale, scale }, or null when no rule is set
+ */
+const getCgpaRule = (academics = {}) => {
+  const scale = Number(academics.cgpa_scale) || 10;
+  if (academics.cgpa_rule === "custom") {
+    const factor = Number(academics.cgpa_factor);
+    const offset = Number(academics.cgpa_offset) || 0;
+    return factor > 0 ? { factor, offset, ruleScale: scale, scale } : null;
+  }
+  const rule = CGPA_RULES[academics.cgpa_rule];
+  return rule ? { ...rule, ruleScale: 10, scale } : null;
+};
+
+/**
+ * Graduation percentage from the profile's CGPA under its university's rule
+ * @param {Object} profile - User profile
+ * @returns {string} Percentage, or "" without a CGPA or rule
+ */
+const cgpaToPercentage = (profile) => {
+  const academics = profile?.academics || {};
+  const rule = getCgpaRule(academics);
+  const cgpa = parseFloat(academics.cgpa);
+  if (!rule || !(cgpa > 0)) return "";
+
+  const percentage = rule.factor * ((cgpa * rule.ruleScale) / rule.scale) + rule.offset;
+  return percentage > 0 ? roundGrade(Math.min(percentage, 100)) : "";
+};
+
+/**
+ * CGPA (on the profile's scale) from the graduation percentage, inverting the rule
+ * @param {Object} profile - User profile
+ * @returns {string} CGPA, or "" without a percentage or rule
+ */
+const percentageToCgpa = (profile) => {
+  const academics = profile?.academics || {};
+  const rule = getCgpaRule(academics);
+  const percentage = parseFloat(academics.graduation_percentage);
+  if (!rule || !(percentage > 0)) return "";
+
+  const cgpa = (((percentage - rule.offset) / rule.factor) * rule.scale) / rule.ruleScale;
+  return cgpa > 0 ? roundGrade(Math.min(cgpa, rule.scale)) : "";
+};
+
+/**
+ * Grade scale a field asks for, e.g. 4 for "CGPA (out of 4)"
+ * @param {HTMLElement} element - Field receiving a grade
+ * @returns {number|null} Scale up to 10, or null when the field doesn't state one
+ */
+const getStatedGradeScale = (element) => {
+  for (const hint of getFieldHintTexts(element)) {
+    for (const pattern of GRADE_SCALE_PATTERNS) {
+      const scale = parseFloat(hint.toLowerCase().match(pattern)?.[1]);
+      if (scale > 0 && scale <= 10) return scale;
+    }
+  }
+  return null;
+};
+
+/**
+ * Rescale a grade from the profile's scale to the one the field states
+ * ("8.5" on a 10-point scale → "3.4" for "CGPA out of 4")
+ * @param {HTMLElement} element - Field receiving the grade
+ * @param {string} value - Grade on the profile's scale
+ * @param {number} scale - Profile's grade scale
+ * @returns {string} Grade for this field
+ */
+const formatGradeForField = (element, value, scale) => {
+  const grade = parseFloat(value);
+  const fieldScale = getStatedGradeScale(element);
+  if (isNaN(grade) || !fieldScale || fieldScale === scale) return String(value);
+  return roundGrade((grade * fieldScale) / scale);
+};
+
+/**
+ * Journal the current value/selection of a native input, select, radio group or checkbox
+ * @param {HTMLElement} element - Element about to be filled
+ */
+const snapshotNativeField = (element) => {
+  if (element.type === "checkbox") {
+    const wasChecked = element.checked;
+    // Clicking (not setting .checked) lets the page re-run its own toggle handlers
+    recordFill(() => {
+      if (element.checked !== wasChecked) element.click();
+    });
+    return;
+  }
+
+  if (element.type === "radio") {
+    const group = getRadioGroup(element);
+    const previous = group.find((radio) => radio.checked) || null;
+    recordFill(() => {
+      if (previous) {
+        selectOption(previous);
+      } else {
+        group.forEach((radio) => { radio.checked = false; });
+        element.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    });
+    return;
+  }
+
+  const previous = element.value;
+  recordFill(() => {
+    if (element.tagName === "SELECT") {
+      setNativeProperty(element, "value", previous);
+      element.dispatchEvent(new Event("change", { bubbles: true, composed: true }));
+    } else {
+      setInputValue(element, previous);
+    }
+  });
+};
+
+/**
+ * Last value written into each text-like input, so verification can tell a
+ * framework-reverted write apart from one that stuck
+ */
+const writtenValues = new WeakMap();
+
+/**
+ * Assign a DOM property through the native prototype setter
+ * React (and Vue/Angular wrappers) shadow `value`/`checked` on the instance to track
+ * changes; the prototype setter bypasses that tracker so the following input event
+ * is seen as a real change instead of being swallowed and reverted.
+ * @param {HTMLElement} element - Input, textarea or select
+ * @param {string} property - "value" or "checked"
+ * @param {*} value - Value to assign
  */
-const isNumericValue = (value) => {
-  if (!value) return false;
-  return !isNaN(parseFloat(value)) && isFinite(value);
+const setNativeProperty = (element, property, value) => {
+  let prototype = Object.getPrototypeOf(element);
+  while (prototype) {
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+    if (descriptor?.set) {
+      descriptor.set.call(element, value);
+      return;
+    }
+    prototype = Object.getPrototypeOf(prototype);
+  }
+  element[property] = value;
 };
 
 /**
- * Format date value for different input types
- * @param {string} value - Date value (could be various formats)
- * @param {string} inputType - The input type (date, text, etc.)
- * @returns {string} Formatted date string
+ * Dispatch the event sequence a user edit produces: focus, input, change, blur.
+ * composed lets the events reach framework roots outside a shadow root.
+ * @param {HTMLElement} element - Edited element
+ * @param {string} [data] - Inserted text, for InputEvent listeners
  */
-const formatDateValue = (value, inputType) => {
-  if (!value) return '';
-  
-  let date;
-  
-  // If already in ISO format (YYYY-MM-DD), parse it
-  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-    const [year, month, day] = value.split('-');
-    date = new Date(year, month - 1, day);
-  } else {
-    // Try to parse other formats
-    date = new Date(value);
+const dispatchEditEvents = (element, data) => {
+  const options = { bubbles: true, composed: true };
+  element.dispatchEvent(new FocusEvent("focus", { composed: true }));
+  element.dispatchEvent(new FocusEvent("focusin", options));
+  element.dispatchEvent(
+    new InputEvent("input", { ...options, inputType: "insertText", data: data ?? null }),
+  );
+  element.dispatchEvent(new Event("change", options));
+  element.dispatchEvent(new FocusEvent("blur", { composed: true }));
+  element.dispatchEvent(new FocusEvent("focusout", options));
+};
+
+/**
+ * Write a value into a text-like input and fire the events frameworks listen for
+ * @param {HTMLElement} element - Input or textarea
+ * @param {string} value - Value to write
+ * @returns {boolean} False if the page rejected or reverted the write
+ */
+const setInputValue = (element, value) => {
+  setNativeProperty(element, "value", value);
+  dispatchEditEvents(element, value);
+  writtenValues.set(element, value);
+  return isSameWrittenValue(element.value, value);
+};
+
+/**
+ * Compare a field's value with what was written, ignoring case and the separators
+ * input masks add ("98765 43210" keeps "9876543210")
+ * @param {string} actual - Current element value
+ * @param {string} written - Value that was written
+ * @returns {boolean} True if the write stuck
+ */
+const isSameWrittenValue = (actual, written) => {
+  const compact = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return compact(actual) === compact(written);
+};
+
+/**
+ * Keystroke typing — for masked/formatted inputs (phone "(___) ___-____", dates
+ * "__/__/____", IDs) whose mask library rejects a bulk value write.
+ * Used automatically when a mask is detected or a direct write did not stick;
+ * forceKeystrokeTyping is set per request from the popup's per-site setting.
+ */
+let forceKeystrokeTyping = false;
+
+// Attributes left by common mask libraries: jQuery Mask, Inputmask, ngx-mask, PrimeNG
+const INPUT_MASK_SELECTOR =
+  "[data-mask], [data-inputmask], [data-inputmask-mask], [im-insert], [mask], .p-inputmask";
+// Placeholders spelling out the mask: "(___) ___-____", "99/99/9999", "####-####"
+const MASK_PLACEHOLDER_PATTERN = /_{2,}|#{2,}|\b9{2,}\b/;
+const KEYSTROKE_UNSUPPORTED_TYPES = ["date", "time", "datetime-local", "month", "week"];
+
+/**
+ * Whether an input is driven by an input-mask library
+ * @param {HTMLElement} element - Input element
+ * @returns {boolean} True if a mask was detected
+ */
+const hasInputMask = (element) =>
+  element.matches(INPUT_MASK_SELECTOR) ||
+  !!element.closest(".p-inputmask") ||
+  MASK_PLACEHOLDER_PATTERN.test(element.getAttribute("placeholder") || "");
+
+/**
+ * Insert text at the caret through the native setter (what the browser does when a
+ * key event is not cancelled — synthetic key events never insert text themselves)
+ * @param {HTMLInputElement} element - Input or textarea
+ * @param {string} text - Text to insert
+ */
+const insertAtCaret = (element, text) => {
+  let start = element.value.length;
+  let end = start;
+  try {
+    start = element.selectionStart ?? start;
+    end = element.selectionEnd ?? end;
+  } catch (err) {
+    // email/number inputs have no selection API — append
   }
-  
-  if (isNaN(date.getTime())) {
-    return value; // Return as-is if not a valid date
+  setNativeProperty(element, "value", element.value.slice(0, start) + text + element.value.slice(end));
+  try {
+    element.setSelectionRange(start + text.length, start + text.length);
+  } catch (err) {
+    // Same inputs as above; caret stays at the end
   }
-  
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  
-  if (inputType === 'date') {
-    // Format as YYYY-MM-DD for HTML5 date inputs
-    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Type a value one character at a time: keydown → keypress → beforeinput → input → keyup
+ * per character. A mask library that cancels the key event inserts the character
+ * itself; otherwise the character is inserted at the caret.
+ * @param {HTMLInputElement} element - Input or textarea
+ * @param {string} value - Value to type
+ * @returns {boolean} False if the field does not end up holding the value
+ */
+const typeInputValue = (element, value) => {
+  const options = { bubbles: true, cancelable: true, composed: true };
+  element.focus();
+  element.dispatchEvent(new FocusEvent("focus", { composed: true }));
+
+  // Clear what a previous (rejected) write left behind
+  if (element.value !== "") {
+    setNativeProperty(element, "value", "");
+    element.dispatchEvent(
+      new InputEvent("input", { ...options, inputType: "deleteContentBackward" }),
+    );
   }
-  
-  // Format as DD/MM/YYYY for text inputs
-  return `${day}/${month}/${year}`;
+
+  for (const char of String(value)) {
+    const keyInit = {
+      ...options,
+      key: char,
+      code: /\d/.test(char) ? `Digit${char}` : /[a-z]/i.test(char) ? `Key${char.toUpperCase()}` : "",
+      keyCode: char.toUpperCase().charCodeAt(0),
+      charCode: char.charCodeAt(0),
+      which: char.charCodeAt(0),
+    };
+    const keydownAllowed = element.dispatchEvent(new KeyboardEvent("keydown", keyInit));
+    const keypressAllowed =
+      keydownAllowed && element.dispatchEvent(new KeyboardEvent("keypress", keyInit));
+    if (keypressAllowed) {
+      const beforeInputAllowed = element.dispatchEvent(
+        new InputEvent("beforeinput", { ...options, inputType: "insertText", data: char }),
+      );
+      if (beforeInputAllowed) {
+        insertAtCaret(element, char);
+        element.dispatchEvent(
+          new InputEvent("input", { bubbles: true, composed: true, inputType: "insertText", data: char }),
+        );
+      }
+    }
+    element.dispatchEvent(new KeyboardEvent("keyup", keyInit));
+  }
+
+  element.dispatchEvent(new Event("change", { bubbles: true, composed: true }));
+  element.dispatchEvent(new FocusEvent("blur", { composed: true }));
+  element.dispatchEvent(new FocusEvent("focusout", { bubbles: true, composed: true }));
+  writtenValues.set(element, String(value));
+  return isSameWrittenValue(element.value, value);
+};
+
+/**
+ * Write a text value, typing it key by key when the site forces it, the input is
+ * masked, or the direct write was rejected
+ * @param {HTMLInputElement} element - Input or textarea
+ * @param {string} value - Value to write
+ * @returns {boolean} True if the field holds the value
+ */
+const writeInputValue = (element, value) => {
+  // Date/time pickers sanitize partial input away, so they are only ever written whole
+  if (KEYSTROKE_UNSUPPORTED_TYPES.includes(element.type)) return setInputValue(element, value);
+  if (forceKeystrokeTyping || hasInputMask(element)) return typeInputValue(element, value);
+  if (setInputValue(element, value)) return true;
+  if (DEBUG) log("Direct write rejected — retrying with keystrokes");
+  return typeInputValue(element, value);
+};
+
+/**
+ * Whether the last write into an element is still its value (controlled inputs
+ * may revert after their framework re-renders)
+ * @param {HTMLElement} element - Previously written element
+ * @returns {boolean} True if nothing was written or the written value stuck
+ */
+const hasKeptWrittenValue = (element) =>
+  !writtenValues.has(element) || isSameWrittenValue(element.value, writtenValues.get(element));
+
+/**
+ * Whether a profile value means "ticked" for a toggle field (Yes/No aliases)
+ * @param {string} value - Profile value
+ * @param {Object} fieldConfig - FIELD_MAP config with Yes/No options
+ * @returns {boolean|null} true / false, or null when the value is neither
+ */
+const getToggleState = (value, fieldConfig) => {
+  const targets = getAliasTargets(value, fieldConfig);
+  if (targets.includes("yes")) return true;
+  if (targets.includes("no")) return false;
+  return null;
+};
+
+/**
+ * Why a value would break the field's HTML constraints (maxlength, minlength,
+ * pattern, min/max, step, email/url type). Checked on a detached copy of the field,
+ * so nothing is written to the page.
+ * @param {HTMLInputElement} element - Input or textarea
+ * @param {string} value - Candidate value
+ * @returns {string|null} Reason, or null when the value fits
+ */
+const getConstraintProblem = (element, value) => {
+  if (element.maxLength > 0 && value.length > element.maxLength) {
+    return `Too long for this field (${value.length} of ${element.maxLength} characters) — would be cut`;
+  }
+  if (element.minLength > 0 && value.length < element.minLength) {
+    return `Shorter than the ${element.minLength} characters this field requires`;
+  }
+
+  const probe = element.cloneNode(false);
+  probe.value = value;
+  // Number/date inputs sanitize values they can't parse to ""
+  if (probe.value !== value) {
+    return `Not a valid ${(element.type || "value").toLowerCase()} for this field`;
+  }
+
+  const { validity } = probe;
+  if (!validity) return null;
+  if (validity.typeMismatch) return `Not a valid ${element.type.toLowerCase()} address`;
+  if (validity.patternMismatch) {
+    return `Doesn't match the format this field requires${element.title ? ` (${element.title})` : ""}`;
+  }
+  if (validity.rangeUnderflow) return `Below this field's minimum of ${element.min}`;
+  if (validity.rangeOverflow) return `Above this field's maximum of ${element.max}`;
+  if (validity.stepMismatch) {
+    return `Not a multiple of this field's step (${element.getAttribute("step") || 1})`;
+  }
+  return null;
+};
+
+/**
+ * Round a number to the field's step, counted from min like the browser does
+ * @param {number} number - Value to round
+ * @param {HTMLInputElement} element - Input with optional step/min attributes
+ * @returns {string|null} Rounded value, or null for step="any"
+ */
+const roundToStep = (number, element) => {
+  const stepAttr = element.getAttribute("step");
+  if (stepAttr && stepAttr.toLowerCase() === "any") return null;
+  const step = parseFloat(stepAttr) > 0 ? parseFloat(stepAttr) : 1;
+  const base = parseFloat(element.min) || 0;
+  const decimals = (String(step).split(".")[1] || "").length;
+  return String(Number((base + Math.round((number - base) / step) * step).toFixed(decimals)));
+};
+
+/**
+ * Fit a value to the field's constraints with changes that keep its meaning:
+ * collapsing whitespace, rounding numbers (to the step, then to fewer decimals),
+ * and dropping or adding a URL's protocol, "www." and trailing slash.
+ * Values that still don't fit come back as written (cut to maxlength) with the reason.
+ * @param {HTMLInputElement} element - Input or textarea
+ * @param {string} value - Value to write
+ * @returns {Object} { value, problem } where problem is null when the value fits
+ */
+const fitFieldConstraints = (element, value) => {
+  const text = String(value);
+  const trimmed =
+    element.tagName === "TEXTAREA"
+      ? text.trim().replace(/[ \t]+/g, " ")
+      : text.trim().replace(/\s+/g, " ");
+  const candidates = [text, trimmed];
+
+  if (isNumericValue(trimmed)) {
+    const number = parseFloat(trimmed);
+    candidates.push(roundToStep(number, element));
+    [2, 1, 0].forEach((decimals) => candidates.push(String(Number(number.toFixed(decimals)))));
+  }
+
+  if (/^https?:\/\//i.test(trimmed)) {
+    const bare = trimmed.replace(/^https?:\/\//i, "");
+    candidates.push(
+      trimmed.replace(/\/$/, ""),
+      bare,
+      bare.replace(/\/$/, ""),
+      bare.replace(/^www\./i, "").replace(/\/$/, ""),
+    );
+  } else if (element.type === "url" && /^[\w-]+(\.[\w-]+)+(\/|$)/.test(trimmed)) {
+    candidates.push(`https://${trimmed}`);
+  }
+
+  const fitted = candidates.find(
+    (candidate) => candidate !== null && !getConstraintProblem(element, candidate),
+  );
+  if (fitted !== undefined) {
+    if (DEBUG && fitted !== text) log(`Fitted "${text}" → "${fitted}" to field constraints`);
+    return { value: fitted, problem: null };
+  }
+
+  const maxLength = element.maxLength > 0 ? element.maxLength : Infinity;
+  return { value: trimmed.slice(0, maxLength), problem: getConstraintProblem(element, trimmed) };
 };
 
 const fillField = (element, value, fieldConfig) => {
@@ -902,10 +2457,44 @@ const fillField = (element, value, fieldConfig) => {
     return false;
   }
 
+  // CHECKBOX: only toggle fields (e.g. "same as permanent address") may tick one
+  if (element.type === "checkbox") {
+    const checked = fieldConfig?.isToggle ? getToggleState(value, fieldConfig) : null;
+    if (checked === null) return false;
+    if (element.checked === checked) return true;
+    snapshotNativeField(element);
+    // A real click fires the handlers that copy or hide the address fields
+    element.click();
+    return element.checked === checked;
+  }
+
   const inputType = element.type
     ? element.type.toLowerCase()
     : element.tagName.toLowerCase();
 
+  // GRADE: rescale to the field's stated scale ("CGPA out of 4")
+  if (fieldConfig?.gradeScale) {
+    value = formatGradeForField(element, value, fieldConfig.gradeScale);
+  }
+
+  // PHONE: write the shape this field expects; a country-code dropdown beside it gets the code
+  if (fieldConfig?.isPhone && element.tagName !== "SELECT" && inputType !== "radio") {
+    fillCountryCodeSelect(element, value);
+    value = formatPhoneForField(element, value);
+  }
+
+  // DIAL CODE: a country-code dropdown matched on its own (or labelled like the phone)
+  if ((fieldConfig?.isDialCode || fieldConfig?.isPhone) && element.tagName === "SELECT") {
+    const dial = getDialCode(value, fieldConfig);
+    const option = dial ? findDialCodeOption(element, dial) : null;
+    if (!option) return false;
+    if (!option.selected) {
+      snapshotNativeField(element);
+      selectOption(option);
+    }
+    return true;
+  }
+
   // NUMERIC ENFORCEMENT: Skip if field expects numeric but value isn't
   if (fieldConfig?.isNumeric) {
     if ((inputType === 'number' || inputType === 'tel') && !isNumericValue(value)) {
@@ -916,13 +2505,10 @@ const fillField = (element, value, fieldConfig) => {
 
   // DATE HANDLING: Format date values appropriately
   if (fieldConfig?.isDate) {
-    const formattedDate = formatDateValue(value, inputType);
+    const formattedDate = formatDateForField(element, value);
     if (formattedDate) {
-      element.value = formattedDate;
-      element.dispatchEvent(new Event("input", { bubbles: true }));
-      element.dispatchEvent(new Event("change", { bubbles: true }));
-      element.dispatchEvent(new Event("blur", { bubbles: true }));
-      return true;
+      snapshotNativeField(element);
+      return writeInputValue(element, fitFieldConstraints(element, formattedDate).value);
     }
     return false;
   }
@@ -932,6 +2518,7 @@ const fillField = (element, value, fieldConfig) => {
     // 1. Controlled Alias Match (Deterministic)
     const aliasMatch = tryAliasMatch(element, value, fieldConfig);
     if (aliasMatch) {
+      snapshotNativeField(element);
       selectOption(aliasMatch);
       return true;
     }
@@ -939,6 +2526,7 @@ const fillField = (element, value, fieldConfig) => {
     // 2. Semantic Fallback (Probabilistic)
     const semanticMatch = trySemanticOptionMatch(element, value);
     if (semanticMatch) {
+      snapshotNativeField(element);
       selectOption(semanticMatch);
       return true;
     }
@@ -948,14 +2536,12 @@ const fillField = (element, value, fieldConfig) => {
   }
 
   // --- TEXT / TEXTAREA / OTHER ---
-  if (element.value === value) return true;
+  // Rounded / trimmed to the field's constraints; what can't be fixed was confirmed first
+  const text = fitFieldConstraints(element, value).value;
+  if (element.value === text) return true;
 
-  element.value = value;
-  element.dispatchEvent(new Event("input", { bubbles: true }));
-  element.dispatchEvent(new Event("change", { bubbles: true }));
-  element.dispatchEvent(new Event("blur", { bubbles: true }));
-
-  return true;
+  snapshotNativeField(element);
+  return writeInputValue(element, text);
 };
 
 /**
@@ -985,6 +2571,11 @@ const isSafeToFill = (element) => {
     return !element.checked;
   }
 
+  // Same for checkboxes — a ticked box is the user's (or the page's) choice
+  if (element.type === "checkbox") {
+    return !element.checked;
+  }
+
   // For select elements, always attempt to fill regardless of current selection
   // (the form's default first-option selection should not count as "user filled")
   if (element.tagName === "SELECT") {
@@ -999,6 +2590,59 @@ const isSafeToFill = (element) => {
   return true;
 };
 
+/**
+ * Indian states and union territories with the codes and old names forms use in
+ * dropdowns. Two-letter codes that are also English words ("AS", "OR", "AN")
+ * are left out so they can't whole-word match unrelated options.
+ */
+const INDIAN_STATE_OPTIONS = {
+  "Andhra Pradesh": ["ap"],
+  "Arunachal Pradesh": ["ar"],
+  Assam: [],
+  Bihar: ["br"],
+  Chhattisgarh: ["cg", "chattisgarh"],
+  Goa: ["ga"],
+  Gujarat: ["gj"],
+  Haryana: ["hr"],
+  "Himachal Pradesh": ["hp"],
+  Jharkhand: ["jh"],
+  Karnataka: ["ka"],
+  Kerala: ["kl"],
+  "Madhya Pradesh": ["mp"],
+  Maharashtra: ["mh"],
+  Manipur: ["mn"],
+  Meghalaya: ["ml"],
+  Mizoram: ["mz"],
+  Nagaland: ["nl"],
+  Odisha: ["od", "orissa"],
+  Punjab: ["pb"],
+  Rajasthan: ["rj"],
+  Sikkim: ["sk"],
+  "Tamil Nadu": ["tn"],
+  Telangana: ["ts", "tg"],
+  Tripura: ["tr"],
+  "Uttar Pradesh": ["up"],
+  Uttarakhand: ["uk", "uttaranchal"],
+  "West Bengal": ["wb"],
+  "Andaman and Nicobar Islands": ["andaman and nicobar"],
+  Chandigarh: ["ch"],
+  "Dadra and Nagar Haveli and Daman and Diu": ["dadra and nagar haveli", "daman and diu"],
+  Delhi: ["dl", "nct of delhi", "new delhi"],
+  "Jammu and Kashmir": ["jk", "j&k"],
+  Ladakh: ["la"],
+  Lakshadweep: ["ld"],
+  Puducherry: ["py", "pondicherry"],
+};
+
+const COUNTRY_OPTIONS = {
+  India: ["bharat", "republic of india"],
+};
+
+// Words that mark a question as being about the current / correspondence address
+const CURRENT_ADDRESS_ANCHORS = [
+  "current", "present", "correspondence", "communication", "mailing", "local", "temporary",
+];
+
 /**
  * Field Mapping Configuration
  * Maps profile fields to form field keywords
@@ -1031,7 +2675,42 @@ const FIELD_MAP = {
     primary: ["name", "full name", "student full name", "candidate name"],
     secondary: ["applicant name", "your name", "student name"],
     generic: ["fullname"],
-    negative: ["father", "mother", "guardian", "parent", "spouse"],
+    negative: [
+      "father", "mother", "guardian", "parent", "spouse",
+      "first name", "middle name", "last name", "surname", "given name", "family name",
+    ],
+    // "Full name (First Middle Last)" asks for the full name, not a part
+    adjacentKeywords: ["negative"],
+  },
+  // Name parts: explicit profile fields win, otherwise split from personal.name.
+  // Part phrases must be consecutive words, so "Name (as per last semester
+  // marksheet)" is not a last name; "name" on its own supports a part phrase.
+  first_name: {
+    path: "personal.first_name",
+    derive: (profile) => splitFullName(profile?.personal?.name).first,
+    primary: ["first name", "given name", "forename"],
+    secondary: ["fname", "name"],
+    generic: [],
+    negative: ["father", "mother", "guardian", "parent", "spouse", "full name"],
+    adjacentKeywords: ["primary", "negative"],
+  },
+  middle_name: {
+    path: "personal.middle_name",
+    derive: (profile) => splitFullName(profile?.personal?.name).middle,
+    primary: ["middle name"],
+    secondary: ["mname", "name"],
+    generic: [],
+    negative: ["father", "mother", "guardian", "parent", "spouse", "full name"],
+    adjacentKeywords: ["primary", "negative"],
+  },
+  last_name: {
+    path: "personal.last_name",
+    derive: (profile) => splitFullName(profile?.personal?.name).last,
+    primary: ["last name", "surname", "family name"],
+    secondary: ["lname", "name"],
+    generic: [],
+    negative: ["father", "mother", "guardian", "parent", "spouse", "full name"],
+    adjacentKeywords: ["primary", "negative"],
   },
   gender: {
     path: "personal.gender",
@@ -1061,12 +2740,130 @@ const FIELD_MAP = {
     negative: ["months", "month"],
     isNumeric: true, // Only fill if field expects numeric
   },
+  // Address: the full address is composed from the structured parts, and parts the
+  // profile leaves blank are parsed out of the address text (see getAddress)
   permanent_address: {
+    derive: (profile) => formatAddress(getAddress(profile, "permanent")),
+    primary: ["permanent address", "full address", "complete address"],
+    secondary: ["address", "residential address", "home address"],
+    generic: [],
+    negative: ["email", "contact", "line", "street", "city", "state", "pincode", "country"],
+    exclusionAnchors: CURRENT_ADDRESS_ANCHORS,
+  },
+  permanent_address_line: {
     path: "personal.permanent_address",
-    primary: ["permanent address"],
-    secondary: ["address", "residential address"],
+    primary: ["address line 1", "address line1", "address1", "address 1", "street address"],
+    secondary: ["permanent", "street", "house", "flat"],
+    generic: [],
+    negative: ["email"],
+    exclusionAnchors: CURRENT_ADDRESS_ANCHORS,
+  },
+  permanent_city: {
+    derive: (profile) => getAddress(profile, "permanent").city,
+    primary: ["city", "town"],
+    secondary: ["permanent"],
+    generic: [],
+    negative: ["birth", "preferred", "job", "work", "college", "university", "institute"],
+    exclusionAnchors: CURRENT_ADDRESS_ANCHORS,
+  },
+  permanent_state: {
+    derive: (profile) => getAddress(profile, "permanent").state,
+    primary: ["state", "state ut"],
+    secondary: ["permanent", "province", "domicile"],
+    generic: [],
+    negative: ["board", "rank", "bank", "birth"],
+    exclusionAnchors: CURRENT_ADDRESS_ANCHORS,
+    options: INDIAN_STATE_OPTIONS,
+  },
+  permanent_pincode: {
+    derive: (profile) => getAddress(profile, "permanent").pincode,
+    primary: ["pin code", "pincode", "postal code", "zip code", "postcode", "zip"],
+    secondary: ["permanent", "pin", "postal"],
+    generic: [],
+    negative: ["with pin", "including pin", "otp", "password"],
+    exclusionAnchors: CURRENT_ADDRESS_ANCHORS,
+    isNumeric: true, // Only fill if field expects numeric
+  },
+  permanent_country: {
+    derive: (profile) => getAddress(profile, "permanent").country,
+    primary: ["country"],
+    secondary: ["permanent", "country of residence"],
+    generic: [],
+    negative: ["code", "dial", "birth", "citizenship"],
+    exclusionAnchors: CURRENT_ADDRESS_ANCHORS,
+    options: COUNTRY_OPTIONS,
+  },
+  current_address: {
+    derive: (profile) => formatAddress(getAddress(profile, "current")),
+    primary: [
+      "current address",
+      "present address",
+      "correspondence address",
+      "communication address",
+      "mailing address",
+      "local address",
+      "temporary address",
+    ],
+    secondary: ["address"],
+    generic: [],
+    negative: ["email", "line", "street", "city", "state", "pincode", "country", "same"],
+    requiredAnchors: CURRENT_ADDRESS_ANCHORS,
+  },
+  current_address_line: {
+    derive: (profile) => getAddress(profile, "current").line,
+    primary: ["address line 1", "address line1", "address1", "address 1", "street address"],
+    secondary: ["street", "house", "flat"],
+    generic: [],
+    negative: ["email"],
+    requiredAnchors: CURRENT_ADDRESS_ANCHORS,
+  },
+  current_city: {
+    derive: (profile) => getAddress(profile, "current").city,
+    primary: ["city", "town"],
+    secondary: [],
+    generic: [],
+    negative: ["birth", "preferred", "job", "work", "college", "university", "institute"],
+    requiredAnchors: CURRENT_ADDRESS_ANCHORS,
+  },
+  current_state: {
+    derive: (profile) => getAddress(profile, "current").state,
+    primary: ["state", "state ut"],
+    secondary: ["province"],
+    generic: [],
+    negative: ["board", "rank", "bank", "birth"],
+    requiredAnchors: CURRENT_ADDRESS_ANCHORS,
+    options: INDIAN_STATE_OPTIONS,
+  },
+  current_pincode: {
+    derive: (profile) => getAddress(profile, "current").pincode,
+    primary: ["pin code", "pincode", "postal code", "zip code", "postcode", "zip"],
+    secondary: ["pin", "postal"],
+    generic: [],
+    negative: ["with pin", "including pin", "otp", "password"],
+    requiredAnchors: CURRENT_ADDRESS_ANCHORS,
+    isNumeric: true, // Only fill if field expects numeric
+  },
+  current_country: {
+    derive: (profile) => getAddress(profile, "current").country,
+    primary: ["country"],
+    secondary: ["country of residence"],
+    generic: [],
+    negative: ["code", "dial", "birth", "citizenship"],
+    requiredAnchors: CURRENT_ADDRESS_ANCHORS,
+    options: COUNTRY_OPTIONS,
+  },
+  // "Same as permanent address" checkboxes (and Yes/No questions asking the same)
+  address_same_as_permanent: {
+    path: "personal.current_same_as_permanent",
+    primary: ["same as permanent address", "same as permanent"],
+    secondary: ["same address"],
     generic: [],
-    negative: ["email", "contact", "correspondence"],
+    negative: [],
+    isToggle: true, // Ticks / unticks a checkbox instead of typing the value
+    options: {
+      Yes: ["yes", "same", "true", "checked"],
+      No: ["no", "different", "false", "unchecked"],
+    },
   },
 
   // --- CONTACT ---
@@ -1078,7 +2875,8 @@ const FIELD_MAP = {
     negative: ["college email", "alternate", "parent", "guardian"],
   },
   phone: {
-    path: "personal.phone",
+    // E.164 in the profile; fillField reshapes it per field (see formatPhoneForField)
+    derive: (profile) => toE164(profile?.personal?.phone, profile?.personal?.phone_country),
     primary: [
       "mobile",
       "mobile number",
@@ -1088,6 +2886,20 @@ const FIELD_MAP = {
     secondary: ["phone number", "contact no", "mob no", "phone"],
     generic: ["number"],
     negative: ["landline", "alternate", "parent", "guardian"],
+    isPhone: true,
+  },
+  phone_country_code: {
+    derive: (profile) => {
+      const parts = splitE164(
+        toE164(profile?.personal?.phone, profile?.personal?.phone_country),
+      );
+      return parts ? `+${parts.dial}` : "";
+    },
+    primary: ["country code", "dial code", "isd code", "calling code"],
+    secondary: ["isd", "mobile", "phone"],
+    generic: [],
+    negative: ["pin", "postal", "zip"],
+    isDialCode: true, // Matched against "+91" / "India (+91)" options
   },
 
   // --- ACADEMICS ---
@@ -1117,6 +2929,7 @@ const FIELD_MAP = {
   },
   graduation_percentage: {
     path: "academics.graduation_percentage",
+    derive: cgpaToPercentage, // From the CGPA under the university's rule
     primary: [
       "graduation percentage",
       "graduation %",
@@ -1158,6 +2971,7 @@ const FIELD_MAP = {
   },
   cgpa: {
     path: "academics.cgpa",
+    derive: percentageToCgpa,
     primary: ["cgpa", "cpi"],
     secondary: ["gpa", "cumulative grade point average"],
     generic: [],
@@ -1266,10 +3080,11 @@ const FIELD_MAP = {
   // --- PLACEMENT ---
   position_applying: {
     path: "placement.position_applying",
-    primary: ["position applying", "position applying for", "job role"],
-    secondary: ["role", "applying for"],
+    primary: ["position applying", "position applying for", "job role", "roles interested"],
+    secondary: ["role", "roles", "applying for"],
     generic: ["position"],
     negative: [],
+    multiValue: true, // "SDE, Data Analyst" ticks several checkbox options
   },
 
   // --- LINKS ---
@@ -1296,30 +3111,477 @@ const FIELD_MAP = {
   },
   job_location: {
     path: "placement.job_location",
-    primary: ["job location", "job location preference", "preferred location", "location preference"],
-    secondary: ["work location", "preferred work location"],
+    primary: ["job location", "job location preference", "preferred location", "location preference", "job locations", "preferred locations"],
+    secondary: ["work location", "preferred work location", "locations"],
     generic: ["location"],
     negative: [],
+    multiValue: true,
   },
 };
 
 /**
- * Get value from nested object using dot-notation path
- * @param {Object} obj - The object to traverse
- * @param {string} path - Dot-notation path (e.g., "personal.name")
- * @returns {*} The value at the path, or undefined if not found
+ * Get value from nested object using dot-notation path
+ * @param {Object} obj - The object to traverse
+ * @param {string} path - Dot-notation path (e.g., "personal.name")
+ * @returns {*} The value at the path, or undefined if not found
+ */
+const getValueByPath = (obj, path) => {
+  const value = path.split(".").reduce((acc, key) => acc?.[key], obj);
+  // Transform boolean values for active_backlog to Yes/No
+  if (path === "academics.active_backlog" && typeof value === "boolean") {
+    return value ? "Yes" : "No";
+  }
+  // Also handle string "true"/"false" for backwards compatibility
+  if (path === "academics.active_backlog" && (value === "true" || value === "false")) {
+    return value === "true" ? "Yes" : "No";
+  }
+  return value;
+};
+
+/**
+ * Split a full name into first / middle / last. Honorifics are dropped; one word
+ * is only a first name, and everything between the first and last word is middle.
+ * @param {string} fullName - personal.name
+ * @returns {Object} { first, middle, last } ("" for missing parts)
+ */
+const splitFullName = (fullName) => {
+  const words = String(fullName || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter((word, index) => index > 0 || !/^(mr|mrs|ms|miss|dr|prof)\.?$/i.test(word));
+
+  if (words.length === 0) return { first: "", middle: "", last: "" };
+  if (words.length === 1) return { first: words[0], middle: "", last: "" };
+  return {
+    first: words[0],
+    middle: words.slice(1, -1).join(" "),
+    last: words[words.length - 1],
+  };
+};
+
+/**
+ * Find the Indian state or UT named in a piece of text (full names and old
+ * names only — bare two-letter codes are too ambiguous inside free text)
+ * @param {string} text - Address text or a stored state value
+ * @returns {Object|null} { name, match } canonical name and the text that matched
+ */
+const findStateInText = (text) => {
+  const normalizedText = ` ${normalizeOption(text)} `;
+  let best = null;
+  for (const [name, aliases] of Object.entries(INDIAN_STATE_OPTIONS)) {
+    [name, ...aliases.filter((alias) => alias.length > 3)].forEach((variant) => {
+      const normalizedVariant = normalizeOption(variant);
+      if (!normalizedText.includes(` ${normalizedVariant} `)) return;
+      if (!best || normalizedVariant.length > best.match.length) {
+        best = { name, match: normalizedVariant };
+      }
+    });
+  }
+  return best;
+};
+
+/**
+ * Pick city / state / PIN / country out of a free-text address, for profiles
+ * that only have the one-line address. The city is the last comma-separated
+ * segment after the first that is still a plain word once the state, PIN and
+ * country are stripped from it.
+ * @param {string} text - Free-text address
+ * @returns {Object} { city, state, pincode, country } ("" for parts not found)
+ */
+const parseAddressText = (text) => {
+  const address = String(text || "");
+  const pins = address.match(/\b\d{3} ?\d{3}\b/g) || [];
+  const pincode = pins.length ? pins[pins.length - 1].replace(" ", "") : "";
+  const state = findStateInText(address);
+  const mentionsIndia = /\bindia\b/i.test(address);
+  const statePattern = state && new RegExp(`\\b${state.match.replace(/ /g, "\\W+")}\\b`, "gi");
+
+  let city = "";
+  address.split(/[,\n]/).slice(1).forEach((segment) => {
+    let candidate = segment.replace(/\b\d{3} ?\d{3}\b/g, " ").replace(/\bindia\b/gi, " ");
+    if (statePattern) candidate = candidate.replace(statePattern, " ");
+    candidate = candidate
+      .replace(/[^A-Za-z0-9 .'-]/g, " ")
+      .replace(/\s+/g, " ")
+      .replace(/^[\s.'-]+|[\s.'-]+$/g, "");
+    // Street and sector segments carry numbers; a city name doesn't
+    if (candidate.length > 2 && !/\d/.test(candidate)) city = candidate;
+  });
+
+  return {
+    city,
+    state: state ? state.name : "",
+    pincode,
+    country: mentionsIndia || state ? "India" : "",
+  };
+};
+
+/**
+ * Structured address of one kind, filling blank stored parts from the address
+ * text. A current address marked "same as permanent" is the permanent one.
+ * @param {Object} profile - User profile data
+ * @param {string} kind - "permanent" or "current"
+ * @returns {Object} { line, city, state, pincode, country }
+ */
+const getAddress = (profile, kind) => {
+  const personal = profile?.personal || {};
+  if (kind === "current" && personal.current_same_as_permanent === "Yes") {
+    return getAddress(profile, "permanent");
+  }
+
+  const line = String(personal[`${kind}_address`] || "").trim();
+  const parsed = parseAddressText(line);
+  const address = { line };
+  ["city", "state", "pincode", "country"].forEach((part) => {
+    address[part] = String(personal[`${kind}_${part}`] || "").trim() || parsed[part];
+  });
+
+  // A stored code ("KA") is spelled out, and a known state implies the country
+  const stateTargets = getAliasTargets(address.state, { options: INDIAN_STATE_OPTIONS });
+  const stateName = Object.keys(INDIAN_STATE_OPTIONS).find((name) =>
+    stateTargets.includes(normalizeOption(name)),
+  );
+  if (stateName) {
+    address.state = stateName;
+    if (!address.country) address.country = "India";
+  }
+  return address;
+};
+
+/**
+ * One-line address: the address text followed by every part it doesn't already mention
+ * @param {Object} address - { line, city, state, pincode, country } from getAddress
+ * @returns {string} Comma-separated address ("" when there is nothing to fill)
+ */
+const formatAddress = ({ line, city, state, pincode, country }) => {
+  const mentioned = line.toLowerCase();
+  const extras = [city, state, pincode, country].filter(
+    (part) => part && !mentioned.includes(part.toLowerCase()),
+  );
+  return [line, ...extras].filter(Boolean).join(", ");
+};
+
+/**
+ * Profile value for a FIELD_MAP entry: the stored value at its path, else the value
+ * the entry derives from other profile fields (e.g. name parts from personal.name).
+ * Entries without a path are always derived (e.g. the composed full address).
+ * @param {Object} profile - User profile data
+ * @param {Object} config - FIELD_MAP config
+ * @returns {*} Value, or undefined/"" when the profile has none
+ */
+const getProfileValue = (profile, config) => {
+  const value = config.path ? getValueByPath(profile, config.path) : undefined;
+  if (value !== undefined && value !== null && value !== "") return value;
+  return config.derive ? config.derive(profile) : value;
+};
+
+/**
+ * Whether a FIELD_MAP entry's value is derived because its own profile field is
+ * empty (e.g. a graduation percentage computed from the CGPA); the popup marks these
+ * @param {Object} profile - User profile data
+ * @param {Object} config - FIELD_MAP config
+ * @returns {boolean} True when the value comes from derive rather than the path
+ */
+const isDerivedValue = (profile, config) => {
+  if (!config.path || !config.derive) return false;
+  const stored = getValueByPath(profile, config.path);
+  return (stored === undefined || stored === null || stored === "") && !!config.derive(profile);
+};
+
+// Custom field keys come from getCustomFieldKey(), saved answer and template keys
+// from getAnswerKey() / getTemplateKey() — all in mappings.js (injected before
+// this script), the same functions the popup builds its choices with
+
+/**
+ * Build the field map for a profile: FIELD_MAP plus the user's custom fields
+ * Custom entries use their label and every synonym as primary keywords, so they
+ * compete in the same scoring pass as built-in keys; saved answers get entries
+ * too (so confirmations can fill them) but are never scored
+ * @param {Object} profile - User profile data
+ * @returns {Object} Field map with the same shape as FIELD_MAP
+ */
+const buildFieldMap = (profile) => {
+  const fieldMap = { ...FIELD_MAP };
+  const customFields = Array.isArray(profile?.custom_fields)
+    ? profile.custom_fields
+    : [];
+
+  customFields.forEach((field, index) => {
+    if (!field?.label) return;
+    const key = getCustomFieldKey(field.label);
+    // Skip labels that normalize to nothing or collide with an earlier entry
+    if (key === CUSTOM_KEY_PREFIX || fieldMap[key]) return;
+
+    fieldMap[key] = {
+      path: `custom_fields.${index}.value`,
+      label: field.label,
+      primary: [field.label, ...(field.keywords || [])],
+      secondary: [],
+      generic: [],
+      negative: [],
+    };
+  });
+
+  const answers = Array.isArray(profile?.answers) ? profile.answers : [];
+  answers.forEach((answer, index) => {
+    if (!answer?.answerId) return;
+    fieldMap[getAnswerKey(answer)] = {
+      path: `answers.${index}.answer`,
+      label: `Saved answer: ${answer.question}`,
+      primary: [],
+      secondary: [],
+      generic: [],
+      negative: [],
+      isAnswer: true,
+    };
+  });
+
+  // A template's value is its text resolved for the current page (see resolveTemplate)
+  const templates = Array.isArray(profile?.templates) ? profile.templates : [];
+  templates.forEach((template) => {
+    if (!template?.templateId) return;
+    fieldMap[getTemplateKey(template)] = {
+      label: `Template: ${template.question}`,
+      primary: [],
+      secondary: [],
+      generic: [],
+      negative: [],
+      derive: (data) => resolveTemplate(template.text, data).text,
+      isTemplate: true,
+    };
+  });
+
+  // CGPA is stored on the university's scale and rescaled per field (see formatGradeForField)
+  fieldMap.cgpa = { ...FIELD_MAP.cgpa, gradeScale: Number(profile?.academics?.cgpa_scale) || 10 };
+
+  return fieldMap;
+};
+
+/**
+ * Saved answers
+ * Questions are compared by their meaningful words: filler words are dropped and
+ * the rest cut to a 5-letter stem, so "relocation" and "relocate" agree
+ */
+const QUESTION_STOPWORDS = new Set([
+  "a", "an", "the", "to", "of", "for", "in", "on", "at", "and", "or", "is", "are",
+  "be", "do", "does", "did", "you", "your", "yours", "we", "us", "our", "i", "me",
+  "my", "this", "that", "with", "what", "why", "how", "which", "please", "if", "any",
+  "can", "will", "would", "should", "have", "has",
+  // Prompt wording — "Tell us about…" and "Describe…" ask the same thing
+  "tell", "describe", "explain", "share", "briefly", "about", "give",
+]);
+
+// Question types a saved answer can go into
+const FREE_TEXT_TYPES = ["text", "textarea"];
+
+// Minimum similarity for a saved answer to be suggested
+const ANSWER_SIMILARITY = 0.6;
+
+const getQuestionTerms = (text) =>
+  new Set(
+    normalizeOption(text)
+      .split(" ")
+      .filter((word) => word && !QUESTION_STOPWORDS.has(word))
+      .map((word) => word.slice(0, 5)),
+  );
+
+/**
+ * How alike two questions are: 1 when they normalize to the same text, otherwise
+ * the Dice overlap of their terms
+ * @param {string} labelText - Field label
+ * @param {string} question - Saved question
+ * @returns {number} 0–1
+ */
+const getQuestionSimilarity = (labelText, question) => {
+  if (normalizeOption(labelText) === normalizeOption(question)) return 1;
+  const terms = getQuestionTerms(labelText);
+  const other = getQuestionTerms(question);
+  const shared = [...terms].filter((term) => other.has(term)).length;
+  return terms.size + other.size > 0 ? (2 * shared) / (terms.size + other.size) : 0;
+};
+
+/**
+ * Saved answer whose question is most like a field's label
+ * @param {Object} profile - User profile (answers come with it)
+ * @param {string} labelText - Field label
+ * @returns {Object|null} { key, question, answer, similarity }, or null below ANSWER_SIMILARITY
  */
-const getValueByPath = (obj, path) => {
-  const value = path.split(".").reduce((acc, key) => acc?.[key], obj);
-  // Transform boolean values for active_backlog to Yes/No
-  if (path === "academics.active_backlog" && typeof value === "boolean") {
-    return value ? "Yes" : "No";
+const findSavedAnswer = (profile, labelText) => {
+  const answers = Array.isArray(profile?.answers) ? profile.answers : [];
+  let best = null;
+
+  answers.forEach((answer) => {
+    if (!answer?.answerId || !answer.answer) return;
+    const similarity = getQuestionSimilarity(labelText, answer.question);
+    if (similarity >= ANSWER_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = {
+        key: getAnswerKey(answer),
+        question: answer.question,
+        answer: answer.answer,
+        similarity: Math.round(similarity * 100) / 100,
+      };
+    }
+  });
+  return best;
+};
+
+/**
+ * Answer templates
+ * {company} and {role} are read from the page — a company-name field, the form
+ * title, then document.title. Any other placeholder is a profile field key
+ * ({name}, {college_name}) or one of TEMPLATE_ALIASES; {role} falls back to the
+ * profile's position when the page doesn't name one.
+ */
+const TEMPLATE_PLACEHOLDER = /\{([a-z0-9_]+)\}/gi;
+
+// Placeholder names that stand for a profile field key
+const TEMPLATE_ALIASES = {
+  role: "position_applying",
+  college: "college_name",
+  degree: "program",
+  branch: "stream",
+};
+
+// A field naming the hiring company — not the applicant's own employer
+const COMPANY_FIELD_LABEL = /\b(?:company|organi[sz]ation|employer)\b/;
+const OWN_EMPLOYER_LABEL = /\b(?:current|previous|past|last|present)\b/;
+
+// Title parts that name a position
+const ROLE_WORDS =
+  /\b(?:engineer|developer|intern|internship|analyst|manager|designer|associate|trainee|scientist|consultant|architect|specialist|executive|programmer|tester|sde)\b/i;
+
+// Title words about the form itself rather than the company or role
+const TITLE_NOISE =
+  /\b(?:apply|application|registration|register|form|careers?|jobs?|hiring|recruitment|placement|campus|drive|role|position|opening|now|online|for|20\d\d)\b/gi;
+
+// Suffix form platforms add to the page title
+const TITLE_PLATFORM_SUFFIX = /\s+[-–|]\s+(?:google forms|microsoft forms)$/i;
+
+// Where the form's own title is shown: Google Forms, Microsoft Forms, any page heading
+const FORM_TITLE_SELECTORS = [
+  '[role="heading"][aria-level="1"]',
+  '[data-automation-id="formTitle"]',
+  "h1",
+];
+
+/**
+ * Company and role named in a title such as "Software Engineer Intern at Acme"
+ * or "Acme Corp – Graduate Trainee Application"
+ * @param {string} title - Form or page title
+ * @returns {Object} { company, role } — "" for what the title doesn't say
+ */
+const parseTitle = (title) => {
+  const clean = (text) =>
+    text.replace(TITLE_NOISE, " ").replace(/[()[\]]/g, " ").replace(/\s+/g, " ").trim();
+  const parts = (text) => text.split(/\s+[-–—]\s+|\s*[|·:]\s*/);
+  const text = String(title || "").replace(TITLE_PLATFORM_SUFFIX, "").trim();
+
+  const at = text.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (at && ROLE_WORDS.test(at[1])) {
+    return { company: clean(parts(at[2])[0]), role: clean(at[1]) };
   }
-  // Also handle string "true"/"false" for backwards compatibility
-  if (path === "academics.active_backlog" && (value === "true" || value === "false")) {
-    return value === "true" ? "Yes" : "No";
+
+  let company = "";
+  let role = "";
+  parts(text).forEach((part) => {
+    const cleaned = clean(part);
+    if (!cleaned) return;
+    if (ROLE_WORDS.test(part)) role = role || cleaned;
+    else company = company || cleaned;
+  });
+  return { company, role };
+};
+
+/**
+ * Value of a filled company-name field on the page
+ * @returns {string} Company name, or ""
+ */
+const findCompanyFieldValue = () => {
+  const elements = document.querySelectorAll(
+    'input:not([type="hidden"]):not([type="checkbox"]):not([type="radio"]), select',
+  );
+  for (const element of elements) {
+    const label = getFieldLabel(element);
+    if (!COMPANY_FIELD_LABEL.test(label) || OWN_EMPLOYER_LABEL.test(label)) continue;
+    // A select's placeholder option ("-- Select --") has no value
+    const option = element.tagName === "SELECT" ? element.selectedOptions[0] : null;
+    const value = option ? (option.value ? option.text : "") : element.value;
+    if (value.trim()) return value.trim();
   }
-  return value;
+  return "";
+};
+
+/**
+ * {company} and {role} for the current page
+ * @returns {Object} { company, role } — "" when the page doesn't say
+ */
+const getPageContext = () => {
+  const formTitle =
+    FORM_TITLE_SELECTORS.map((selector) => document.querySelector(selector)?.textContent.trim())
+      .find(Boolean) || "";
+  const titles = [parseTitle(formTitle), parseTitle(document.title)];
+  return {
+    company: findCompanyFieldValue() || titles.map((title) => title.company).find(Boolean) || "",
+    role: titles.map((title) => title.role).find(Boolean) || "",
+  };
+};
+
+/**
+ * Fill a template's placeholders for the current page
+ * @param {string} text - Template text
+ * @param {Object} profile - User profile data
+ * @returns {Object} { text, unresolved } — placeholders without a value stay as written
+ *   and are listed in unresolved
+ */
+const resolveTemplate = (text, profile) => {
+  const page = getPageContext();
+  const fieldMap = buildFieldMap(profile);
+  const unresolved = [];
+
+  const resolved = String(text || "").replace(TEMPLATE_PLACEHOLDER, (placeholder, name) => {
+    const key = name.toLowerCase();
+    const fieldKey = TEMPLATE_ALIASES[key] || key;
+    const config = Object.prototype.hasOwnProperty.call(fieldMap, fieldKey) ? fieldMap[fieldKey] : null;
+    const value =
+      (key === "company" || key === "role" ? page[key] : "") ||
+      (config && !config.isAnswer && !config.isTemplate ? getProfileValue(profile, config) : "");
+
+    if (value === undefined || value === null || value === "") {
+      if (!unresolved.includes(placeholder)) unresolved.push(placeholder);
+      return placeholder;
+    }
+    return String(value);
+  });
+  return { text: resolved, unresolved };
+};
+
+/**
+ * Answer template whose question is most like a field's label, resolved for this page
+ * @param {Object} profile - User profile (templates come with it)
+ * @param {string} labelText - Field label
+ * @returns {Object|null} { key, question, text, unresolved, similarity }, or null below
+ *   ANSWER_SIMILARITY
+ */
+const findTemplate = (profile, labelText) => {
+  const templates = Array.isArray(profile?.templates) ? profile.templates : [];
+  let best = null;
+
+  templates.forEach((template) => {
+    if (!template?.templateId || !template.text) return;
+    const similarity = getQuestionSimilarity(labelText, template.question);
+    if (similarity >= ANSWER_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { template, similarity };
+    }
+  });
+  if (!best) return null;
+
+  return {
+    key: getTemplateKey(best.template),
+    question: best.template.question,
+    ...resolveTemplate(best.template.text, profile),
+    similarity: Math.round(best.similarity * 100) / 100,
+  };
 };
 
 /**
@@ -1329,11 +3591,14 @@ const HIGH_CONFIDENCE = 0.75;
 const MEDIUM_CONFIDENCE = 0.5;
 
 /**
- * Tokenize text into individual words, handling Roman numerals and symbols
+ * Tokenize text for matching
+ * Punctuation splits tokens ("CGPA(upto 5th sem)", "Roll.No"); with compounds, dotted or
+ * hyphenated words also yield their joined form ("E-mail" → e, mail, email)
  * @param {string} text - Text to tokenize
- * @returns {string[]} Array of normalized tokens
+ * @param {boolean} [withCompounds] - Add joined forms of dotted/hyphenated words
+ * @returns {string[]} Array of tokens
  */
-const tokenize = (text) => {
+const tokenize = (text, withCompounds = false) => {
   if (!text) return [];
   // Normalize Roman numerals and symbols
   let normalized = text
@@ -1346,11 +3611,184 @@ const tokenize = (text) => {
     .replace(/\bxth\b/g, "10th")
     .replace(/\bxiith\b/g, "12th")
     .replace(/\bgrad\.?(?=[^a-z]|$)/gi, "graduation") // Handle "grad", "grad." followed by non-letter or end
-    .replace(/%/g, " percentage ")
+    .replace(/%/g, " percentage ");
+
+  const compounds = withCompounds
+    ? (normalized.match(/\b[a-z]+(?:[-.][a-z]+)+\b/g) || []).map((word) =>
+        word.replace(/[-.]/g, ""),
+      )
+    : [];
+
+  normalized = normalized
     .replace(/\//g, " ")
-    .replace(/-/g, " ");
+    .replace(/-/g, " ")
+    .replace(/[.,:;()[\]{}?!"'*_#|]/g, " ");
+
+  return [
+    ...normalized.split(/\s+/).filter((token) => token.length > 0),
+    ...compounds,
+  ];
+};
+
+// Fuzzy keyword hits (typos, plurals) count for less than exact hits, so a single
+// misspelled primary keyword lands in the confirmation band instead of auto-filling
+const FUZZY_MATCH_WEIGHT = 0.85;
+const FUZZY_MIN_LENGTH = 5;
+// Below this length one changed letter usually spells another word ("stage" → "state"),
+// so short tokens only match through two swapped letters ("emial" → "email")
+const FUZZY_EDIT_MIN_LENGTH = 6;
+
+/**
+ * Reduce a plural token to its singular form ("branches" → "branch", "cities" → "city")
+ * @param {string} token - Lowercase token
+ * @returns {string} Stemmed token
+ */
+const stemToken = (token) => {
+  if (token.length <= 3 || /\d/.test(token)) return token;
+  if (token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes)$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith("s") && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+  return token;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {number} Number of edits
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+/**
+ * Whether two tokens differ only by one pair of swapped neighbouring letters
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {boolean} True for a single adjacent transposition
+ */
+const isTransposition = (a, b) => {
+  if (a.length !== b.length) return false;
+  const diff = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) diff.push(i);
+  }
+  return (
+    diff.length === 2 &&
+    diff[1] === diff[0] + 1 &&
+    a[diff[0]] === b[diff[1]] &&
+    a[diff[1]] === b[diff[0]]
+  );
+};
+
+/**
+ * Whether two tokens are variants of each other: same stem, or a small typo in a
+ * longer word. Numbers ("10th" vs "12th") and tokens under FUZZY_MIN_LENGTH are never fuzzy.
+ * @param {string} keywordToken - Token from a FIELD_MAP keyword
+ * @param {string} token - Token from the field text
+ * @returns {boolean} True if the tokens match approximately
+ */
+const isFuzzyTokenMatch = (keywordToken, token) => {
+  if (stemToken(keywordToken) === stemToken(token)) return true;
+  if (/\d/.test(keywordToken) || /\d/.test(token)) return false;
+
+  const shorter = Math.min(keywordToken.length, token.length);
+  if (shorter < FUZZY_MIN_LENGTH) return false;
+  if (Math.abs(keywordToken.length - token.length) > 2) return false;
+  // Typos rarely hit the first letter; this also keeps "other" away from "mother"
+  if (keywordToken[0] !== token[0]) return false;
+  if (shorter < FUZZY_EDIT_MIN_LENGTH) return isTransposition(keywordToken, token);
+
+  return editDistance(keywordToken, token) <= (shorter >= 8 ? 2 : 1);
+};
+
+/**
+ * Match a multi-word keyword as consecutive field tokens ("last name" but not
+ * "name as per last semester")
+ * @param {string[]} keywordTokens - Tokenized keyword
+ * @param {string[]} tokens - Tokenized field text
+ * @returns {number} 1 for an exact hit, FUZZY_MATCH_WEIGHT for a fuzzy hit, 0 otherwise
+ */
+const matchPhrase = (keywordTokens, tokens) => {
+  let match = 0;
+  for (let i = 0; i + keywordTokens.length <= tokens.length; i++) {
+    const window = tokens.slice(i, i + keywordTokens.length);
+    if (keywordTokens.every((keywordToken, j) => window[j] === keywordToken)) return 1;
+    if (
+      keywordTokens.every(
+        (keywordToken, j) => window[j] === keywordToken || isFuzzyTokenMatch(keywordToken, window[j]),
+      )
+    ) {
+      match = FUZZY_MATCH_WEIGHT;
+    }
+  }
+  return match;
+};
+
+/**
+ * Match one keyword against field tokens
+ * @param {string} keyword - Keyword phrase from FIELD_MAP
+ * @param {string[]} tokens - Tokenized field text
+ * @param {boolean} [adjacent] - Multi-word keywords must appear as consecutive tokens
+ * @returns {number} 1 for an exact hit, FUZZY_MATCH_WEIGHT for a fuzzy hit, 0 otherwise
+ */
+const matchKeyword = (keyword, tokens, adjacent = false) => {
+  const keywordTokens = tokenize(keyword);
+  if (adjacent && keywordTokens.length > 1) return matchPhrase(keywordTokens, tokens);
+  if (keywordTokens.every((token) => tokens.includes(token))) return 1;
+
+  const fuzzyHit = keywordTokens.every(
+    (keywordToken) =>
+      tokens.includes(keywordToken) ||
+      tokens.some((token) => isFuzzyTokenMatch(keywordToken, token)),
+  );
+  return fuzzyHit ? FUZZY_MATCH_WEIGHT : 0;
+};
+
+/**
+ * Sum keyword hits for one category. A fuzzy hit is skipped when a keyword with the
+ * same stem ("backlog", "backlogs") already scored, so plurals don't double-count.
+ * @param {string[]} keywords - Keyword phrases of one category
+ * @param {string[]} tokens - Tokenized field text
+ * @param {number} weight - Score per exact hit
+ * @param {boolean} [adjacent] - Multi-word keywords must appear as consecutive tokens
+ * @returns {number} Category score
+ */
+const scoreKeywordCategory = (keywords, tokens, weight, adjacent = false) => {
+  const matched = new Set();
+  const fuzzy = [];
+  let score = 0;
+
+  keywords.forEach((keyword) => {
+    const stemKey = tokenize(keyword).map(stemToken).join(" ");
+    const match = matchKeyword(keyword, tokens, adjacent);
+    if (match === 1) {
+      score += weight;
+      matched.add(stemKey);
+    } else if (match > 0) {
+      fuzzy.push({ stemKey, match });
+    }
+  });
 
-  return normalized.split(/\s+/).filter((token) => token.length > 0);
+  fuzzy.forEach(({ stemKey, match }) => {
+    if (matched.has(stemKey)) return;
+    score += weight * match;
+    matched.add(stemKey);
+  });
+
+  return score;
 };
 
 /**
@@ -1363,35 +3801,17 @@ const calculateAdvancedScore = (tokens, config) => {
   let score = 0;
 
   const { primary = [], secondary = [], generic = [], negative = [] } = config;
+  // Categories whose multi-word keywords only count as consecutive words
+  const adjacent = (category) => (config.adjacentKeywords || []).includes(category);
 
-  // Check primary keywords (+0.6 each)
-  primary.forEach((keyword) => {
-    const keywordTokens = tokenize(keyword);
-    if (keywordTokens.every((token) => tokens.includes(token))) {
-      score += 0.6;
-    }
-  });
-
-  // Check secondary keywords (+0.3 each)
-  secondary.forEach((keyword) => {
-    const keywordTokens = tokenize(keyword);
-    if (keywordTokens.every((token) => tokens.includes(token))) {
-      score += 0.3;
-    }
-  });
-
-  // Check generic keywords (+0.15 each)
-  generic.forEach((keyword) => {
-    const keywordTokens = tokenize(keyword);
-    if (keywordTokens.every((token) => tokens.includes(token))) {
-      score += 0.15;
-    }
-  });
+  // Primary keywords +0.6, secondary +0.3, generic +0.15 each (reduced for fuzzy hits)
+  score += scoreKeywordCategory(primary, tokens, 0.6, adjacent("primary"));
+  score += scoreKeywordCategory(secondary, tokens, 0.3, adjacent("secondary"));
+  score += scoreKeywordCategory(generic, tokens, 0.15, adjacent("generic"));
 
-  // Check negative keywords (-0.4 each)
+  // Check negative keywords (-0.4 each) — fuzzy hits count in full, erring on the safe side
   negative.forEach((keyword) => {
-    const keywordTokens = tokenize(keyword);
-    if (keywordTokens.every((token) => tokens.includes(token))) {
+    if (matchKeyword(keyword, tokens, adjacent("negative")) > 0) {
       score -= 0.4;
     }
   });
@@ -1421,16 +3841,20 @@ const hasNumericAnchor = (tokens, numericAnchors) => {
  * Find the best matching field with confidence score using weighted keyword matching
  * Enforces both numericAnchors and requiredAnchors before scoring
  * @param {string} fieldText - Combined text from label, placeholder, name, id
+ * @param {Object} [fieldMap] - Field map to score against (FIELD_MAP + custom fields)
  * @returns {Object} Object with bestMatch key and score, or null if no match
  */
-const findBestMatchWithScore = (fieldText) => {
-  const tokens = tokenize(fieldText);
+const findBestMatchWithScore = (fieldText, fieldMap = FIELD_MAP) => {
+  const tokens = tokenize(fieldText, true);
 
   let bestMatch = null;
   let highestScore = 0;
 
-  for (const key in FIELD_MAP) {
-    const config = FIELD_MAP[key];
+  for (const key in fieldMap) {
+    const config = fieldMap[key];
+    // Saved answers and templates are only suggested by question similarity
+    // (findSavedAnswer, findTemplate)
+    if (config.isAnswer || config.isTemplate) continue;
 
     // Check numeric anchor requirement first (e.g. 10th, 12th)
     if (!hasNumericAnchor(tokens, config.numericAnchors)) {
@@ -1490,16 +3914,17 @@ const findBestMatchWithScore = (fieldText) => {
  * Match a field to profile data using confidence scoring
  * @param {Object} fieldData - Field metadata (label, placeholder, name, id)
  * @param {Object} profile - User profile data
+ * @param {Object} [fieldMap] - Field map to score against (FIELD_MAP + custom fields)
  * @returns {Object} Object with value and confidence score
  */
-const matchFieldToProfile = (fieldData, profile) => {
+const matchFieldToProfile = (fieldData, profile, fieldMap = FIELD_MAP) => {
   const { label, placeholder, name, id } = fieldData;
 
   // Combine all text for matching (already normalized to lowercase)
   const combinedText = `${label} ${placeholder} ${name} ${id}`.toLowerCase();
 
   // Find matching field using scoring engine
-  const { bestMatch, score } = findBestMatchWithScore(combinedText);
+  const { bestMatch, score } = findBestMatchWithScore(combinedText, fieldMap);
 
   if (!bestMatch || score < MEDIUM_CONFIDENCE) {
     if (DEBUG && score > 0.1)
@@ -1515,10 +3940,10 @@ const matchFieldToProfile = (fieldData, profile) => {
     );
 
   // Get configuration for matched field
-  const config = FIELD_MAP[bestMatch];
+  const config = fieldMap[bestMatch];
 
   // Extract value using path resolver
-  const value = getValueByPath(profile, config.path);
+  const value = getProfileValue(profile, config);
 
   return {
     value: value || null,
@@ -1527,64 +3952,578 @@ const matchFieldToProfile = (fieldData, profile) => {
   };
 };
 
+/**
+ * Form platform adapters
+ *
+ * Each adapter owns one family of question widgets and exposes the same interface,
+ * so autofillPage, SCAN_PAGE and CONFIRM_AUTOFILL never branch on the platform:
+ *   id            - Recorded on elementRegistry entries to route confirmations
+ *   isActive()    - Whether the adapter applies to the current page
+ *   detect()      - Question descriptors: { element, container?, source?, type, placeholder?, name?, id? }
+ *   canFill(q)    - Optional pre-check (already filled, password, ...)
+ *   getLabel(q)   - Normalized question label
+ *   getOptions(q) - Option elements for choice widgets ([] for free text)
+ *   fill(q, value, config) - Writes the value, resolves to true on success
+ *   verify(q)     - Whether the widget holds a selection/value after fill
+ *   resolve(q, value, config) - Dry run of fill: the option text / formatted value
+ *                   that would be written, or null if nothing would match
+ *   getUnmatchedValues(q, value, config) - Optional: parts of a multi-valued value
+ *                   with no matching option (a partial match goes to confirmation)
+ *   ownsElement(el) - Optional: true for native inputs that are sub-parts of one of the
+ *                   adapter's widgets, so the HTML adapter does not fill them alone
+ *
+ * labelRequired skips questions without a label instead of falling back to the
+ * element id, renderDelay (ms) lets the platform finish rendering before a run, and
+ * watchSections keeps an autofill session open across "Next" section changes.
+ * Supporting a new platform means adding an adapter to FORM_ADAPTERS.
+ */
+
+// Standard HTML form selectors (native inputs on every platform)
+const GENERIC_FIELD_SELECTORS = [
+  'input[type="text"]',
+  'input[type="email"]',
+  'input[type="tel"]',
+  'input[type="number"]',
+  'input[type="url"]',
+  "textarea",
+  "select",
+  'input[type="radio"]',
+  'input[type="checkbox"]', // Only filled by toggle keys (isToggle)
+];
+
+/**
+ * Text fillField would write into an input or textarea before constraint fitting:
+ * the phone reshaped, the grade rescaled or the date formatted for this field
+ * @param {HTMLElement} element - Input or textarea
+ * @param {string} value - Profile value
+ * @param {Object} config - FIELD_MAP config
+ * @returns {string|null} Text, or null when the value can't go into this field
+ */
+const getFieldText = (element, value, config) => {
+  const inputType = (element.type || element.tagName).toLowerCase();
+  if (config?.isPhone) value = formatPhoneForField(element, value);
+  if (config?.gradeScale) value = formatGradeForField(element, value, config.gradeScale);
+  if (config?.isNumeric && ["number", "tel"].includes(inputType) && !isNumericValue(value)) {
+    return null;
+  }
+  if (config?.isDate) return formatDateForField(element, value) || null;
+  return String(value);
+};
+
+const genericHtmlAdapter = {
+  id: "html",
+  labelRequired: false,
+  renderDelay: 0,
+  isActive: () => true,
+  detect: () => {
+    const questions = [];
+    const roots = getSearchRoots();
+    GENERIC_FIELD_SELECTORS.forEach((selector) => {
+      queryAllDeep(selector, roots).forEach((element) => {
+        // Sub-inputs of platform widgets (e.g. Google date parts) are filled as a whole
+        if (FORM_ADAPTERS.some((a) => a.ownsElement && a.isActive() && a.ownsElement(element))) {
+          return;
+        }
+        questions.push({
+          element,
+          type: element.type || element.tagName.toLowerCase(),
+          placeholder: (element.placeholder || "").toLowerCase().trim(),
+          name: (element.name || "").toLowerCase().trim(),
+          id: (element.id || "").toLowerCase().trim(),
+        });
+      });
+    });
+    return questions;
+  },
+  canFill: ({ element }) => isSafeToFill(element),
+  getLabel: ({ element }) => getFieldLabel(element),
+  getOptions: ({ element }) => {
+    if (element.tagName === "SELECT") return Array.from(element.options);
+    if (element.type === "radio") return getRadioGroup(element);
+    return [];
+  },
+  fill: async ({ element }, value, config) => fillField(element, value, config),
+  getReviewReason: ({ element }, value, config) => {
+    const inputType = (element.type || element.tagName).toLowerCase();
+    if (element.tagName === "SELECT" || ["radio", "checkbox"].includes(inputType)) return null;
+    if (config?.isDate && inputType !== "date" && parseDateParts(value)) {
+      const { format, ambiguous } = inferDateFormat(element);
+      if (ambiguous) return `Date format unclear — would write ${format}`;
+    }
+    // Constraints (maxlength, pattern, min/max, step) no safe change can satisfy
+    const text = getFieldText(element, value, config);
+    return text === null ? null : fitFieldConstraints(element, text).problem;
+  },
+  resolve: ({ element }, value, config) => {
+    const inputType = (element.type || element.tagName).toLowerCase();
+    if ((config?.isDialCode || config?.isPhone) && element.tagName === "SELECT") {
+      const dial = getDialCode(value, config);
+      return (dial && findDialCodeOption(element, dial)?.text) || null;
+    }
+    if (inputType === "checkbox") {
+      const checked = config?.isToggle ? getToggleState(value, config) : null;
+      if (checked === null) return null;
+      return checked ? "Checked" : "Unchecked";
+    }
+    if (element.tagName === "SELECT" || inputType === "radio") {
+      if (config?.gradeScale) value = formatGradeForField(element, value, config.gradeScale);
+      const option =
+        tryAliasMatch(element, value, config) || trySemanticOptionMatch(element, value);
+      if (!option) return null;
+      return inputType === "radio" ? getRadioOptionLabel(option) : option.text;
+    }
+    const text = getFieldText(element, value, config);
+    return text === null ? null : fitFieldConstraints(element, text).value;
+  },
+  verify: ({ element }) => {
+    if (element.type === "radio") {
+      return getRadioGroup(element).some((radio) => radio.checked);
+    }
+    if (element.type === "checkbox") return true; // fillField already checked the state
+    return element.value !== "" && hasKeptWrittenValue(element);
+  },
+};
+
+const googleFormsAdapter = {
+  id: "google-forms",
+  labelRequired: true,
+  renderDelay: 800,
+  watchSections: true,
+  isActive: () => isGoogleForm,
+  detect: () => {
+    const questions = [];
+
+    document.querySelectorAll('[role="listbox"]').forEach((element) => {
+      questions.push({
+        element,
+        container: element.closest('[role="listitem"]'),
+        type: "google-dropdown",
+      });
+    });
+
+    // Radios are grouped per question container; the container is the fill target
+    const processedContainers = new Set();
+    document.querySelectorAll('[role="radio"]').forEach((radio) => {
+      const container = radio.closest('[role="listitem"]');
+      if (!container || processedContainers.has(container)) return;
+      processedContainers.add(container);
+      questions.push({ element: container, container, type: "google-radio" });
+    });
+
+    // Checkbox groups (multi-select), grouped the same way as radios
+    const checkboxContainers = new Set();
+    document.querySelectorAll('[role="checkbox"]').forEach((checkbox) => {
+      const container = checkbox.closest('[role="listitem"]');
+      if (!container || checkboxContainers.has(container)) return;
+      checkboxContainers.add(container);
+      questions.push({ element: container, container, type: "google-checkbox" });
+    });
+
+    // Date and time questions (composite day/month/year or hour/minute sub-inputs)
+    document.querySelectorAll('[role="listitem"]').forEach((container) => {
+      const parts = getGoogleDateTimeParts(container);
+      if (parts.length === 0) return;
+      const isDate = parts.some(({ kind }) => kind === "date" || DATE_KINDS.includes(kind));
+      questions.push({
+        element: container,
+        container,
+        type: isDate ? "google-date" : "google-time",
+        parts,
+      });
+    });
+
+    return questions;
+  },
+  getLabel: ({ container }) => {
+    const heading = container?.querySelector('[role="heading"]');
+    return (heading?.innerText || "").toLowerCase().trim();
+  },
+  getOptions: ({ element, type }) =>
+    Array.from(
+      element.querySelectorAll(
+        {
+          "google-radio": '[role="radio"]',
+          "google-checkbox": '[role="checkbox"]',
+        }[type] || '[role="option"]',
+      ),
+    ),
+  fill: async (question, value, config) => {
+    const { element, container, type } = question;
+    if (type === "google-dropdown") return fillGoogleDropdownHybrid(element, value, config);
+    if (type === "google-checkbox") return fillGoogleCheckboxHybrid(value, config, container);
+    if (question.parts) return fillGoogleDateTime(value, question);
+    return fillGoogleRadioHybrid(value, config, container);
+  },
+  resolve: (question, value, config) => {
+    const { container, type } = question;
+    if (type === "google-checkbox") {
+      const { matches } = matchGoogleCheckboxes(container, value, config);
+      return matches.length > 0 ? matches.map(getGoogleRadioOptionText).join(", ") : null;
+    }
+    if (question.parts) {
+      const date = parseDateParts(value);
+      if (!date) return null;
+      const pad = (n) => String(n).padStart(2, "0");
+      if (type === "google-time") {
+        return date.hour === null ? null : `${pad(date.hour)}:${pad(date.minute)}`;
+      }
+      return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+    }
+    const getText =
+      type === "google-radio" ? getGoogleRadioOptionText : (option) => option.innerText;
+    const option = findHybridOption(googleFormsAdapter.getOptions(question), getText, value, config);
+    return option ? getText(option).trim() : null;
+  },
+  verify: (question) => {
+    if (question.parts) {
+      return question.parts
+        .filter(({ kind }) => question.type === "google-time" || !["hour", "minute"].includes(kind))
+        .every(({ input }) => input.value !== "");
+    }
+    const options = googleFormsAdapter.getOptions(question);
+    if (question.type !== "google-dropdown") {
+      return options.some((option) => option.getAttribute("aria-checked") === "true");
+    }
+    // Only a still-selected "Choose" placeholder (empty data-value) counts as unfilled
+    const selected = options.find((o) => o.getAttribute("aria-selected") === "true");
+    return !selected || selected.getAttribute("data-value") !== "";
+  },
+  getUnmatchedValues: ({ container, type }, value, config) =>
+    type === "google-checkbox"
+      ? matchGoogleCheckboxes(container, value, config).unmatched
+      : [],
+  ownsElement: (element) => {
+    const container = element.closest('[role="listitem"]');
+    return (
+      !!container &&
+      getGoogleDateTimeParts(container).some(({ input }) => input === element)
+    );
+  },
+};
+
+const microsoftFormsAdapter = {
+  id: "microsoft-forms",
+  labelRequired: true,
+  renderDelay: 800,
+  isActive: () => isMicrosoftForm,
+  // Text questions are native inputs and belong to the HTML adapter
+  detect: () => {
+    const questions = [];
+    document.querySelectorAll(MS_QUESTION_SELECTOR).forEach((container) => {
+      const dropdown = container.querySelector(MS_DROPDOWN_SELECTOR);
+      if (!dropdown && !container.querySelector('[role="radio"]')) return;
+      // Dropdowns target the trigger; choice groups the container for scoped clicks
+      questions.push({
+        element: dropdown || container,
+        container,
+        type: dropdown ? "ms-dropdown" : "ms-choice",
+      });
+    });
+    return questions;
+  },
+  getLabel: ({ container }) => getMsQuestionTitle(container),
+  getOptions: ({ container, type }) =>
+    Array.from(
+      type === "ms-choice"
+        ? container.querySelectorAll('[role="radio"]')
+        : document.querySelectorAll('[role="listbox"] [role="option"]'),
+    ),
+  fill: async ({ element, container, type }, value, config) =>
+    type === "ms-dropdown"
+      ? fillMsDropdownHybrid(element, value, config)
+      : fillMsChoiceHybrid(value, config, container),
+  // Dropdown options only exist while the popup is open, so their match is not previewed
+  resolve: (question, value, config) => {
+    if (question.type === "ms-dropdown") return String(value);
+    const option = findHybridOption(
+      microsoftFormsAdapter.getOptions(question),
+      getMsOptionText,
+      value,
+      config,
+    );
+    return option ? getMsOptionText(option) : null;
+  },
+  verify: (question) => {
+    // The dropdown popup closes on selection, so only choice groups can be re-read
+    if (question.type !== "ms-choice") return true;
+    return microsoftFormsAdapter
+      .getOptions(question)
+      .some((radio) => radio.getAttribute("aria-checked") === "true");
+  },
+};
+
+const comboboxAdapter = {
+  id: "combobox",
+  labelRequired: true,
+  renderDelay: 0,
+  // Google and Microsoft Forms dropdowns have their own adapters
+  isActive: () => !isGoogleForm && !isMicrosoftForm,
+  detect: () => {
+    const questions = [];
+    queryAllDeep(COMBOBOX_SELECTOR).forEach((element) => {
+      if (element.tagName === "SELECT") return;
+      if (element.closest('[role="listbox"], [role="tree"], [aria-hidden="true"]')) return;
+      // Outermost trigger only (Choices.js nests a combobox input in its combobox)
+      if (element.parentElement?.closest(COMBOBOX_SELECTOR)) return;
+      const source = getEnhancedSelect(element);
+      questions.push({
+        element,
+        container: element.closest(COMBOBOX_WIDGET_SELECTOR) || element.parentElement,
+        source,
+        type: "combobox",
+        placeholder: (element.getAttribute("placeholder") || "").toLowerCase().trim(),
+        name: ((source || element).getAttribute("name") || "").toLowerCase().trim(),
+        id: ((source || element).id || "").toLowerCase().trim(),
+      });
+    });
+    return questions;
+  },
+  canFill: ({ element }) =>
+    element.getAttribute("aria-disabled") !== "true" &&
+    !element.disabled &&
+    (element.tagName !== "INPUT" || isSafeToFill(element)),
+  // react-select / MUI nest the input deep in the control; the label sits before the widget
+  getLabel: ({ element, container, source }) =>
+    getFieldLabel(source || element) || (container ? getFieldLabel(container) : ""),
+  getOptions: (question) =>
+    question.source ? Array.from(question.source.options) : getComboboxOptions(question),
+  fill: async (question, value, config) => fillComboboxHybrid(question, value, config),
+  // Options of most widgets only exist while open, so only Select2 (which keeps the
+  // full native select) is previewed against real options
+  resolve: (question, value, config) => {
+    if (!question.source || question.source.options.length <= 1) return String(value);
+    const option = findHybridOption(
+      Array.from(question.source.options),
+      (o) => o.text,
+      value,
+      config,
+    );
+    return option ? option.text.trim() : null;
+  },
+  verify: (question) => getComboboxValueText(question) !== "",
+  ownsElement: (element) =>
+    element.matches(ENHANCED_SELECT_SELECTOR) || element.matches(COMBOBOX_SELECTOR),
+};
+
+// Order matters: native inputs first, then platform widgets (matches the old pass order)
+const FORM_ADAPTERS = [
+  genericHtmlAdapter,
+  googleFormsAdapter,
+  microsoftFormsAdapter,
+  comboboxAdapter,
+];
+
+/**
+ * Adapters that apply to the current page
+ * @returns {Array} Active adapters in FORM_ADAPTERS order
+ */
+const getActiveAdapters = () => FORM_ADAPTERS.filter((adapter) => adapter.isActive());
+
+/**
+ * Look up an adapter by the id recorded in elementRegistry
+ * @param {string} adapterId - Adapter id
+ * @returns {Object|undefined} The adapter
+ */
+const getAdapterById = (adapterId) =>
+  FORM_ADAPTERS.find((adapter) => adapter.id === adapterId);
+
+/**
+ * Find a registry entry's question again after the platform re-rendered it
+ * (e.g. the user went back to an earlier Google Forms section)
+ * @param {Object} entry - elementRegistry entry
+ * @returns {Object|null} Fresh question descriptor with the same adapter and label
+ */
+const relocateQuestion = (entry) => {
+  const adapter = getAdapterById(entry.adapter);
+  if (!adapter || !entry.label) return null;
+  return (
+    adapter.detect().find((question) => adapter.getLabel(question) === entry.label) ||
+    null
+  );
+};
+
+/**
+ * Parts of a multi-valued profile value the question has no option for
+ * @param {Object} adapter - Owning adapter
+ * @param {Object} question - Question descriptor
+ * @param {string} value - Profile value
+ * @param {Object} config - FIELD_MAP config
+ * @returns {string[]} Unmatched parts (empty when everything maps or not applicable)
+ */
+const getUnmatchedValues = (adapter, question, value, config) =>
+  adapter.getUnmatchedValues?.(question, value, config) || [];
+
+/**
+ * Why a matched value should be confirmed by the user instead of written
+ * (e.g. a date field whose day/month order can't be inferred)
+ * @param {Object} adapter - Owning adapter
+ * @param {Object} question - Question descriptor
+ * @param {string} value - Profile value
+ * @param {Object} config - FIELD_MAP config
+ * @returns {string|null} Reason shown with the confirmation, or null to fill directly
+ */
+const getReviewReason = (adapter, question, value, config) =>
+  adapter.getReviewReason?.(question, value, config) || null;
+
+/**
+ * Registry entry for fieldId, re-located if the platform re-rendered its question
+ * @param {string} fieldId - Registry id
+ * @returns {Object|null} Entry whose element is attached to the document
+ */
+const getLiveEntry = (fieldId) => {
+  const entry = elementRegistry.get(fieldId);
+  if (!entry) {
+    console.warn("[Content] ⚠️ Element not found in registry:", fieldId);
+    return null;
+  }
+
+  // Safety check: ensure element is still in DOM (Google Forms can re-render).
+  // isConnected also covers elements inside shadow roots and same-origin frames.
+  if (entry.element.isConnected) return entry;
+
+  const relocated = relocateQuestion(entry);
+  if (!relocated) {
+    console.warn("[Content] ⚠️ Element detached from DOM:", fieldId);
+    return null;
+  }
+  const refreshed = { ...entry, element: relocated.element, question: relocated };
+  elementRegistry.set(fieldId, refreshed);
+  return refreshed;
+};
+
+/**
+ * Build the field metadata used for scoring from an adapter question
+ * @param {Object} adapter - Owning adapter
+ * @param {Object} question - Question descriptor from adapter.detect()
+ * @returns {Object} Field metadata (label, placeholder, name, id, type)
+ */
+const describeQuestion = (adapter, question) => ({
+  label: adapter.getLabel(question),
+  placeholder: question.placeholder || "",
+  name: question.name || "",
+  id: question.id || "",
+  type: question.type,
+});
+
+/**
+ * Fill a question through its adapter and confirm the widget kept the value
+ * Prior values recorded during the fill are journaled under fieldId for undo.
+ * @param {Object} adapter - Owning adapter
+ * @param {Object} question - Question descriptor
+ * @param {string} value - Value to fill
+ * @param {Object} config - FIELD_MAP config
+ * @param {string} [fieldId] - Registry id the journal entries are filed under
+ * @param {boolean} [derived] - Value is derived from other profile fields (see isDerivedValue)
+ * @returns {Promise<boolean>} True if filled and verified
+ */
+const fillQuestion = async (adapter, question, value, config, fieldId = null, derived = false) => {
+  const journalMark = fillJournal.length;
+  journalFieldId = fieldId;
+  journalDerived = derived;
+  fillingQuestion = true;
+  try {
+    const filled = await adapter.fill(question, value, config);
+    // No option matched — drop snapshots taken while searching
+    if (!filled) {
+      fillJournal.splice(journalMark);
+      return false;
+    }
+    // Let frameworks re-render first, so a controlled input that reverted fails verify
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    return adapter.verify(question);
+  } finally {
+    journalFieldId = null;
+    journalDerived = false;
+    fillingQuestion = false;
+  }
+};
+
+/**
+ * Scopes of learned mappings, most specific first. The popup sends one label → key
+ * map per scope: the Google/Microsoft Form (by form ID), the portal page (by path),
+ * and the whole domain, which also holds mappings learned before scopes existed.
+ */
+const MAPPING_SCOPES = ["form", "path", "domain"];
+
+/**
+ * Learned mapping for a label from the most specific scope that has one
+ * @param {Object} siteMappings - { form, path, domain } label → key maps
+ * @param {string} label - Normalized field label
+ * @returns {Object|null} { key, scope }
+ */
+const findLearnedMapping = (siteMappings, label) => {
+  for (const scope of MAPPING_SCOPES) {
+    const key = siteMappings?.[scope]?.[label];
+    if (key) return { key, scope };
+  }
+  return null;
+};
+
 /**
  * Autofill all matching fields on the page using confidence scoring and learned mappings
- * Supports both standard HTML forms and Google Forms (click simulation)
+ * Every active form adapter contributes its questions (see FORM_ADAPTERS)
  * @param {Object} profile - User profile data
  * @param {string} domain - Current domain name
- * @param {Object} siteMappings - Learned mappings for this domain
+ * @param {Object} siteMappings - Learned mappings per scope ({ form, path, domain })
+ * @param {Object} [options]
+ * @param {WeakSet} [options.seen] - Elements already handled earlier in the session (skipped silently)
+ * @param {boolean} [options.preview] - Dry run: match and resolve options, write nothing,
+ *                                      and return a plan instead of fill results
  * @returns {Promise<Object>} Results of autofill operation with pending confirmations
  */
-const autofillPage = async (profile, domain = null, siteMappings = {}) => {
+const autofillPage = async (
+  profile,
+  domain = null,
+  siteMappings = {},
+  { seen = null, preview = false } = {},
+) => {
   let autoFilledCount = 0;
   const filledFields = [];
   const pendingConfirmations = [];
   const skippedFields = [];
+  const failedFields = [];
   const learnedFills = [];
+  const plan = [];
 
-  // Standard HTML form selectors
-  const selectors = [
-    'input[type="text"]',
-    'input[type="email"]',
-    'input[type="tel"]',
-    'input[type="number"]',
-    'input[type="url"]',
-    "textarea",
-    "select",
-    'input[type="radio"]',
-  ];
-
-  let globalFieldIndex = 0;
+  // Built-in keys plus the user's custom fields, scored in one pass
+  const fieldMap = buildFieldMap(profile);
 
-  // --- Pass 1: Standard HTML form elements ---
-  selectors.forEach((selector) => {
-    const elements = document.querySelectorAll(selector);
+  for (const adapter of getActiveAdapters()) {
+    for (const question of adapter.detect()) {
+      const { element } = question;
+      if (seen?.has(element)) continue;
 
-    elements.forEach((element) => {
       // Check if safe to fill
-      if (!isSafeToFill(element)) {
+      if (adapter.canFill && !adapter.canFill(question)) {
         skippedFields.push({
           reason: "unsafe or already filled",
-          type: element.type,
+          type: question.type,
           id: element.id || "no-id",
         });
-        return;
+        continue;
       }
 
-      // Generate unique field ID
-      const fieldId = `field_${globalFieldIndex++}`;
+      // Get field metadata
+      const fieldData = describeQuestion(adapter, question);
 
-      // Store element in registry
-      elementRegistry.set(fieldId, element);
+      // Safety: platform widgets without a readable question are never guessed at
+      if (adapter.labelRequired && !fieldData.label) {
+        skippedFields.push({
+          reason: "unsafe or empty label",
+          label: "",
+          type: fieldData.type,
+        });
+        continue;
+      }
 
-      // Get field metadata
-      const fieldData = {
-        label: getFieldLabel(element),
-        placeholder: (element.placeholder || "").toLowerCase().trim(),
-        name: (element.name || "").toLowerCase().trim(),
-        id: (element.id || "").toLowerCase().trim(),
-        type: element.type || element.tagName.toLowerCase(),
-      };
+      // Generate unique field ID and store the question with its owning adapter
+      const fieldId = `field_${nextFieldIndex++}`;
+      elementRegistry.set(fieldId, {
+        element,
+        adapter: adapter.id,
+        question,
+        label: fieldData.label,
+      });
 
       // Safety: skip unsafe labels
       const labelText =
@@ -1595,59 +4534,157 @@ const autofillPage = async (profile, domain = null, siteMappings = {}) => {
           label: labelText,
           type: fieldData.type,
         });
-        return;
-      }
-
-      if (DEBUG && element.type === "radio") {
-        log(
-          `Processed Radio: ID=${element.id} Name=${element.name} Label="${fieldData.label}"`,
-        );
+        continue;
       }
 
       const normalizedLabel = labelText.toLowerCase().trim();
 
+      // Preview: record what would be written instead of writing it
+      const addToPlan = (
+        key,
+        value,
+        confidence,
+        { learned = false, unmatchedValues = [], reviewReason = null } = {},
+      ) => {
+        const option = adapter.resolve(question, value, fieldMap[key]);
+        plan.push({
+          fieldId,
+          label: labelText,
+          type: fieldData.type,
+          key,
+          value,
+          option,
+          confidence,
+          learned,
+          // Would not be auto-filled: medium confidence, partial or no option match,
+          // or a value the adapter wants confirmed
+          needsReview:
+            (!learned && confidence < HIGH_CONFIDENCE) ||
+            unmatchedValues.length > 0 ||
+            option === null ||
+            reviewReason !== null,
+          ...(unmatchedValues.length > 0 && { unmatchedValues }),
+          ...(reviewReason && { reviewReason }),
+          ...(isDerivedValue(profile, fieldMap[key]) && { derived: true }),
+        });
+      };
+
       // CHECK LEARNED MAPPINGS FIRST (before confidence scoring)
-      if (siteMappings[normalizedLabel]) {
-        const learnedKey = siteMappings[normalizedLabel];
-        const config = FIELD_MAP[learnedKey];
+      const learned = findLearnedMapping(siteMappings, normalizedLabel);
+      // On form platforms a domain-wide mapping was learned on some other form, where
+      // the same label may have meant something else, so it is only suggested
+      const learnedElsewhere =
+        learned?.scope === "domain" && (isGoogleForm || isMicrosoftForm) ? learned : null;
+      if (learned && !learnedElsewhere) {
+        const learnedKey = learned.key;
+        const config = fieldMap[learnedKey];
 
         if (config) {
-          const value = getValueByPath(profile, config.path);
-
-          if (value && fillField(element, value, config)) {
+          const value = getProfileValue(profile, config);
+          const derived = isDerivedValue(profile, config);
+
+          // Partial multi-value matches and values needing review fall through to
+          // confirmation below
+          const learnedMatch =
+            value &&
+            getUnmatchedValues(adapter, question, value, config).length === 0 &&
+            !getReviewReason(adapter, question, value, config);
+          if (learnedMatch && preview) {
+            addToPlan(learnedKey, value, 1, { learned: true });
+            continue;
+          }
+          if (
+            learnedMatch &&
+            (await fillQuestion(adapter, question, value, config, fieldId, derived))
+          ) {
             autoFilledCount++;
             learnedFills.push({
+              fieldId,
               label: labelText,
               value: value,
               matchKey: learnedKey,
               learned: true,
               type: fieldData.type,
+              ...(derived && { derived }),
             });
-            return; // Skip confidence scoring for learned fields
+            continue; // Skip confidence scoring for learned fields
           }
         }
       }
 
       // Try to match field to profile data with confidence score
-      const matchResult = matchFieldToProfile(fieldData, profile);
+      const matchResult = matchFieldToProfile(fieldData, profile, fieldMap);
       const { value, matchKey, confidence } = matchResult;
 
+      // A mapping from another form goes to confirmation unless scoring is sure of it too
+      const elsewhereConfig = learnedElsewhere && fieldMap[learnedElsewhere.key];
+      const elsewhereValue = elsewhereConfig && getProfileValue(profile, elsewhereConfig);
+      if (
+        elsewhereValue &&
+        !(matchKey === learnedElsewhere.key && confidence >= HIGH_CONFIDENCE)
+      ) {
+        const reviewReason = "Learned on another form on this site";
+        if (preview) {
+          addToPlan(learnedElsewhere.key, elsewhereValue, 1, { learned: true, reviewReason });
+        } else {
+          pendingConfirmations.push({
+            fieldId: fieldId,
+            labelText: labelText,
+            suggestedKey: learnedElsewhere.key,
+            suggestedValue: elsewhereValue,
+            confidence: matchKey === learnedElsewhere.key ? confidence : 0,
+            learned: true,
+            type: fieldData.type,
+            reviewReason,
+            ...(isDerivedValue(profile, elsewhereConfig) && { derived: true }),
+          });
+        }
+        continue;
+      }
+
       if (value && matchKey) {
-        // High confidence - auto-fill immediately
-        if (confidence >= HIGH_CONFIDENCE) {
-          const config = FIELD_MAP[matchKey];
-          const success = fillField(element, value, config);
+        const config = fieldMap[matchKey];
+        const unmatchedValues = getUnmatchedValues(adapter, question, value, config);
+        const reviewReason = getReviewReason(adapter, question, value, config);
+        const derived = isDerivedValue(profile, config);
+
+        if (preview) {
+          if (confidence >= MEDIUM_CONFIDENCE) {
+            addToPlan(matchKey, value, confidence, { unmatchedValues, reviewReason });
+          }
+        }
+        // High confidence - auto-fill immediately (partial matches and flagged values
+        // need review instead)
+        else if (
+          confidence >= HIGH_CONFIDENCE &&
+          unmatchedValues.length === 0 &&
+          !reviewReason
+        ) {
+          const success = await fillQuestion(adapter, question, value, config, fieldId, derived);
 
           if (success) {
             autoFilledCount++;
             filledFields.push({
+              fieldId,
               label: labelText,
               value: value,
               matchKey: matchKey,
               confidence: confidence,
               type: fieldData.type,
+              ...(derived && { derived }),
+            });
+            log(
+              `Auto-filled via ${adapter.id} (${(confidence * 100).toFixed(0)}%): "${labelText}"`,
+            );
+          } else {
+            // Matched, but the widget rejected or reverted the write
+            failedFields.push({
+              fieldId,
+              label: labelText,
+              matchKey: matchKey,
+              confidence: confidence,
+              type: fieldData.type,
             });
-            log(`Auto-filled (${(confidence * 100).toFixed(0)}%): "${labelText}"`);
           }
         }
         // Medium confidence - require confirmation
@@ -1659,9 +4696,62 @@ const autofillPage = async (profile, domain = null, siteMappings = {}) => {
             suggestedValue: value,
             confidence: confidence,
             type: fieldData.type,
+            ...(unmatchedValues.length > 0 && { unmatchedValues }),
+            ...(reviewReason && { reviewReason }),
+            ...(derived && { derived }),
           });
         }
       } else {
+        // No profile field fits — a saved answer or template for a similar question
+        // is suggested, never filled without review
+        const freeText = FREE_TEXT_TYPES.includes(fieldData.type);
+        const saved = freeText ? findSavedAnswer(profile, labelText) : null;
+        const template = freeText ? findTemplate(profile, labelText) : null;
+
+        if (template && (!saved || template.similarity > saved.similarity)) {
+          const reviewReason =
+            getReviewReason(adapter, question, template.text, fieldMap[template.key]) ||
+            (template.unresolved.length > 0
+              ? `Fill in ${template.unresolved.join(", ")} before applying`
+              : `Template for "${template.question}"`);
+          if (preview) {
+            addToPlan(template.key, template.text, template.similarity, { reviewReason });
+          } else {
+            pendingConfirmations.push({
+              fieldId: fieldId,
+              labelText: labelText,
+              suggestedKey: template.key,
+              suggestedValue: template.text,
+              confidence: template.similarity,
+              type: fieldData.type,
+              reviewReason,
+              template: { question: template.question, unresolved: template.unresolved },
+            });
+          }
+          continue;
+        }
+
+        if (saved) {
+          const reviewReason =
+            getReviewReason(adapter, question, saved.answer, fieldMap[saved.key]) ||
+            `Saved answer to "${saved.question}"`;
+          if (preview) {
+            addToPlan(saved.key, saved.answer, saved.similarity, { reviewReason });
+          } else {
+            pendingConfirmations.push({
+              fieldId: fieldId,
+              labelText: labelText,
+              suggestedKey: saved.key,
+              suggestedValue: saved.answer,
+              confidence: saved.similarity,
+              type: fieldData.type,
+              reviewReason,
+              savedAnswer: true,
+            });
+          }
+          continue;
+        }
+
         skippedFields.push({
           reason:
             confidence < MEDIUM_CONFIDENCE ? "low confidence" : "no match",
@@ -1670,213 +4760,287 @@ const autofillPage = async (profile, domain = null, siteMappings = {}) => {
           type: fieldData.type,
         });
       }
-    });
-  });
+    }
+  }
 
-  // ===== Pass 2: GOOGLE FORMS — Dropdown and Radio processing (click simulation) =====
-  if (isGoogleForm) {
-    // --- Process Google Form Dropdowns (role="listbox") ---
-    const googleDropdowns = document.querySelectorAll('[role="listbox"]');
-    for (const element of googleDropdowns) {
-      const container = element.closest('[role="listitem"]');
-      const heading = container?.querySelector('[role="heading"]');
-      const labelText = (heading?.innerText || "").toLowerCase().trim();
-
-      // Safety: skip empty/unsafe labels
-      if (!labelText || isUnsafeLabel(labelText)) {
-        skippedFields.push({
-          reason: "unsafe or empty label",
-          label: labelText,
-          type: "google-dropdown",
-        });
-        continue;
-      }
+  if (preview) {
+    // Every key with a value, so the popup can re-point a row and show its value
+    const choices = Object.entries(fieldMap)
+      .map(([key, config]) => ({
+        key,
+        label: config.label || key,
+        value: getProfileValue(profile, config),
+        derived: isDerivedValue(profile, config),
+      }))
+      .filter((choice) => choice.value);
+    return { status: "preview", plan, skippedFields, choices };
+  }
 
-      const fieldId = `gd_${globalFieldIndex++}`;
-      elementRegistry.set(fieldId, element);
+  return {
+    status: "completed",
+    autoFilledCount: autoFilledCount,
+    filledFields: filledFields,
+    learnedFills: learnedFills,
+    pendingConfirmations: pendingConfirmations,
+    skippedFields: skippedFields,
+    failedFields: failedFields,
+  };
+};
 
-      const fieldData = {
-        label: labelText,
-        placeholder: "",
-        name: "",
-        id: "",
-        type: "google-dropdown",
-      };
-      const normalizedLabel = labelText;
+/**
+ * Autofill session — carries one autofill run across multi-section forms
+ *
+ * While a session is active on a platform with watchSections, a MutationObserver
+ * waits for the DOM to settle after a section change ("Next"), then re-runs
+ * autofillPage on the questions not seen yet with the same profile and siteMappings.
+ * Every run is merged into one summary that the popup reads via GET_AUTOFILL_SESSION,
+ * so pending confirmations from earlier sections survive the popup closing.
+ */
+const SECTION_SETTLE_MS = 600;
+const SESSION_IDLE_MS = 10 * 60 * 1000;
+const SESSION_LIST_KEYS = [
+  "filledFields",
+  "learnedFills",
+  "pendingConfirmations",
+  "skippedFields",
+  "failedFields",
+];
 
-      // Check learned mappings first
-      if (siteMappings[normalizedLabel]) {
-        const learnedKey = siteMappings[normalizedLabel];
-        const config = FIELD_MAP[learnedKey];
-        if (config) {
-          const value = getValueByPath(profile, config.path);
-          if (value) {
-            const filled = await fillGoogleDropdownHybrid(
-              element,
-              value,
-              config,
-            );
-            if (filled) {
-              autoFilledCount++;
-              learnedFills.push({
-                label: labelText,
-                value,
-                matchKey: learnedKey,
-                learned: true,
-                type: "google-dropdown",
-              });
-              continue;
-            }
-          }
-        }
-      }
+let autofillSession = null;
 
-      // Confidence scoring
-      const matchResult = matchFieldToProfile(fieldData, profile);
-      const { value, matchKey, confidence } = matchResult;
+/**
+ * Element a pending confirmation would be applied to, the way getLiveEntry resolves it
+ * (without updating the registry)
+ * @param {string} fieldId - Registry id
+ * @returns {HTMLElement|null} Attached element, or null if the question is gone
+ */
+const resolvePendingElement = (fieldId) => {
+  const entry = elementRegistry.get(fieldId);
+  if (!entry) return null;
+  if (entry.element.isConnected) return entry.element;
+  return relocateQuestion(entry)?.element || null;
+};
 
-      if (value && matchKey) {
-        const config = FIELD_MAP[matchKey];
-        if (confidence >= HIGH_CONFIDENCE) {
-          const filled = await fillGoogleDropdownHybrid(element, value, config);
-          if (filled) {
-            autoFilledCount++;
-            filledFields.push({
-              label: labelText,
-              value,
-              matchKey,
-              confidence,
-              type: "google-dropdown",
-            });
-            log(`Google Dropdown (${(confidence * 100).toFixed(0)}%): "${labelText}"`);
-          }
-        } else if (confidence >= MEDIUM_CONFIDENCE) {
-          pendingConfirmations.push({
-            fieldId,
-            labelText,
-            suggestedKey: matchKey,
-            suggestedValue: value,
-            confidence,
-            type: "google-dropdown",
-          });
-        }
-      } else {
-        skippedFields.push({
-          reason: "no match",
-          label: labelText,
-          confidence: confidence || 0,
-          type: "google-dropdown",
-        });
-      }
-    }
+/**
+ * Add one autofillPage result to the session summary, tagging entries with their section
+ * @param {Object} summary - Session summary (mutated)
+ * @param {Object} result - Result returned by autofillPage
+ */
+const mergeSessionResult = (summary, result) => {
+  summary.sections++;
+  summary.autoFilledCount += result.autoFilledCount;
+
+  // Revisiting a section re-renders its questions — an earlier pending entry that now
+  // resolves to a question pending again is replaced by the fresh one. Entries for
+  // other questions stay, even when their label is the same ("Name" in two sections).
+  const revisited = new Set(
+    result.pendingConfirmations.map((p) => elementRegistry.get(p.fieldId)?.element),
+  );
+  summary.pendingConfirmations = summary.pendingConfirmations.filter(
+    (pending) => !revisited.has(resolvePendingElement(pending.fieldId)),
+  );
+  SESSION_LIST_KEYS.forEach((key) => {
+    summary[key].push(
+      ...result[key].map((item) => ({ ...item, section: summary.sections })),
+    );
+  });
+};
 
-    // --- Process Google Form Radios (role="radio"), grouped by question container ---
-    const processedRadioContainers = new Set();
-    const googleRadios = document.querySelectorAll('[role="radio"]');
+/**
+ * Detect questions across active adapters that the session has not processed yet
+ * @param {WeakSet} seen - Elements already processed
+ * @returns {boolean} True if the page shows at least one new question
+ */
+const hasUnseenQuestions = (seen) =>
+  getActiveAdapters().some((adapter) =>
+    adapter.detect().some((question) => !seen.has(question.element)),
+  );
 
-    for (const radio of googleRadios) {
-      const container = radio.closest('[role="listitem"]');
-      if (!container || processedRadioContainers.has(container)) continue;
-      processedRadioContainers.add(container);
+/**
+ * Stop watching for section changes (the summary is kept for the popup)
+ */
+const stopAutofillSession = () => {
+  if (!autofillSession) return;
+  autofillSession.active = false;
+  autofillSession.observer?.disconnect();
+  clearTimeout(autofillSession.settleTimer);
+  clearTimeout(autofillSession.idleTimer);
+};
 
-      const heading = container.querySelector('[role="heading"]');
-      const labelText = (heading?.innerText || "").toLowerCase().trim();
+/**
+ * Run autofillPage for the questions currently on screen and merge the result
+ * @param {Object} session - Active session
+ * @returns {Promise<void>}
+ */
+const runSessionSection = async (session) => {
+  session.running = true;
+  try {
+    const result = await autofillPage(
+      session.profile,
+      session.domain,
+      session.siteMappings,
+      { seen: session.seen },
+    );
+    mergeSessionResult(session.summary, result);
+  } finally {
+    getActiveAdapters().forEach((adapter) => {
+      adapter.detect().forEach((question) => session.seen.add(question.element));
+    });
+    session.running = false;
+  }
+};
 
-      // Safety: skip empty/unsafe labels
-      if (!labelText || isUnsafeLabel(labelText)) {
-        skippedFields.push({
-          reason: "unsafe or empty label",
-          label: labelText,
-          type: "google-radio",
-        });
-        continue;
-      }
+/**
+ * Debounce DOM mutations and autofill the new section once it has rendered
+ * Mutations caused by our own fills are ignored because their questions are already seen
+ * @param {Object} session - Active session
+ */
+const scheduleSectionCheck = (session) => {
+  clearTimeout(session.settleTimer);
+  session.settleTimer = setTimeout(async () => {
+    if (!session.active) return;
+    if (session.running) {
+      scheduleSectionCheck(session);
+      return;
+    }
+    if (!hasUnseenQuestions(session.seen)) return;
 
-      const fieldId = `gr_${globalFieldIndex++}`;
-      elementRegistry.set(fieldId, container); // Store container for scoped confirmation
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(stopAutofillSession, SESSION_IDLE_MS);
+    log("New form section detected — continuing autofill");
+    await runSessionSection(session);
+  }, SECTION_SETTLE_MS);
+};
 
-      const fieldData = {
-        label: labelText,
-        placeholder: "",
-        name: "",
-        id: "",
-        type: "google-radio",
-      };
-      const normalizedLabel = labelText;
+/**
+ * Start a new autofill session (replacing any previous one) and fill the first section
+ * @param {Object} profile - User profile data
+ * @param {string} domain - Current domain name
+ * @param {Object} siteMappings - Learned mappings per scope ({ form, path, domain })
+ * @returns {Promise<Object>} Session summary after the first section
+ */
+const startAutofillSession = async (profile, domain, siteMappings) => {
+  stopAutofillSession();
+  fillJournal = []; // Undo covers the latest run only
+
+  const session = {
+    active: true,
+    running: false,
+    profile,
+    domain,
+    siteMappings: siteMappings || {},
+    seen: new WeakSet(),
+    summary: {
+      sections: 0,
+      autoFilledCount: 0,
+      filledFields: [],
+      learnedFills: [],
+      pendingConfirmations: [],
+      skippedFields: [],
+      failedFields: [],
+    },
+    observer: null,
+    settleTimer: null,
+    idleTimer: null,
+  };
+  autofillSession = session;
 
-      // Check learned mappings first
-      if (siteMappings[normalizedLabel]) {
-        const learnedKey = siteMappings[normalizedLabel];
-        const config = FIELD_MAP[learnedKey];
-        if (config) {
-          const value = getValueByPath(profile, config.path);
-          if (value) {
-            const filled = fillGoogleRadioHybrid(value, config, container);
-            if (filled) {
-              autoFilledCount++;
-              learnedFills.push({
-                label: labelText,
-                value,
-                matchKey: learnedKey,
-                learned: true,
-                type: "google-radio",
-              });
-              continue;
-            }
-          }
-        }
-      }
+  await runSessionSection(session);
 
-      // Confidence scoring
-      const matchResult = matchFieldToProfile(fieldData, profile);
-      const { value, matchKey, confidence } = matchResult;
+  if (getActiveAdapters().some((adapter) => adapter.watchSections)) {
+    session.observer = new MutationObserver(() => scheduleSectionCheck(session));
+    session.observer.observe(document.body, { childList: true, subtree: true });
+    session.idleTimer = setTimeout(stopAutofillSession, SESSION_IDLE_MS);
+  } else {
+    session.active = false;
+  }
 
-      if (value && matchKey) {
-        const config = FIELD_MAP[matchKey];
-        if (confidence >= HIGH_CONFIDENCE) {
-          const filled = fillGoogleRadioHybrid(value, config, container);
-          if (filled) {
-            autoFilledCount++;
-            filledFields.push({
-              label: labelText,
-              value,
-              matchKey,
-              confidence,
-              type: "google-radio",
-            });
-            log(`Google Radio (${(confidence * 100).toFixed(0)}%): "${labelText}"`);
-          }
-        } else if (confidence >= MEDIUM_CONFIDENCE) {
-          pendingConfirmations.push({
-            fieldId,
-            labelText,
-            suggestedKey: matchKey,
-            suggestedValue: value,
-            confidence,
-            type: "google-radio",
-          });
-        }
-      } else {
-        skippedFields.push({
-          reason: "no match",
-          label: labelText,
-          confidence: confidence || 0,
-          type: "google-radio",
-        });
-      }
+  return session.summary;
+};
+
+/**
+ * Fields in the fill journal, oldest first, for the popup's undo list
+ * @returns {Array} [{ fieldId, label, derived }]
+ */
+const getJournalFields = () => {
+  const fieldIds = [...new Set(fillJournal.map((entry) => entry.fieldId))];
+  return fieldIds.map((fieldId) => {
+    const entry = elementRegistry.get(fieldId);
+    return {
+      fieldId,
+      label: entry?.label || entry?.question.placeholder || fieldId,
+      derived: fillJournal.some((journaled) => journaled.fieldId === fieldId && journaled.derived),
+    };
+  });
+};
+
+/**
+ * Restore journaled values — newest first, so each field ends at its pre-fill state
+ * @param {string|null} fieldId - Single field to undo, or null for the whole run
+ * @returns {Promise<Object>} { restoredCount, failedFields }
+ */
+const undoAutofill = async (fieldId = null) => {
+  const entries = fillJournal.filter((entry) => !fieldId || entry.fieldId === fieldId);
+  const fields = getJournalFields().filter((field) => !fieldId || field.fieldId === fieldId);
+  const failed = new Set();
+
+  for (const entry of [...entries].reverse()) {
+    try {
+      if ((await entry.restore()) === false) failed.add(entry.fieldId);
+    } catch (err) {
+      failed.add(entry.fieldId);
     }
   }
 
+  fillJournal = fillJournal.filter((entry) => !entries.includes(entry));
+
   return {
-    status: "completed",
-    autoFilledCount: autoFilledCount,
-    filledFields: filledFields,
-    learnedFills: learnedFills,
-    pendingConfirmations: pendingConfirmations,
-    skippedFields: skippedFields,
+    restoredCount: fields.length - failed.size,
+    failedFields: fields.filter((field) => failed.has(field.fieldId)).map((field) => field.label),
   };
 };
 
+/**
+ * Execute a reviewed preview plan — exactly the listed fills, with the listed values
+ * @param {Object} profile - User profile (for field configs and custom fields)
+ * @param {Array} planEntries - [{ fieldId, key, value }] as edited in the popup
+ * @returns {Promise<Object>} { appliedCount, appliedFields, failedFields }
+ */
+const applyPlan = async (profile, planEntries) => {
+  const fieldMap = buildFieldMap(profile);
+  const appliedFields = [];
+  const failedFields = [];
+  fillJournal = []; // Undo covers this run
+
+  for (const { fieldId, key, value } of planEntries) {
+    const entry = getLiveEntry(fieldId);
+    const config = fieldMap[key];
+    // An edited value is the user's own, not derived
+    const derived =
+      !!config &&
+      isDerivedValue(profile, config) &&
+      String(value) === String(getProfileValue(profile, config));
+    const filled =
+      !!entry &&
+      !!config &&
+      !!value &&
+      (await fillQuestion(
+        getAdapterById(entry.adapter),
+        entry.question,
+        value,
+        config,
+        fieldId,
+        derived,
+      ));
+
+    if (filled && config.isTemplate) ignoreCapturedText(entry.element);
+    if (filled) appliedFields.push({ fieldId, key, value });
+    else failedFields.push(entry?.label || fieldId);
+  }
+
+  return { appliedCount: appliedFields.length, appliedFields, failedFields };
+};
+
 /**
  * Highlight an element on the page with a visual flash effect
  * @param {HTMLElement} element - Element to highlight
@@ -1893,6 +5057,9 @@ const highlightElement = (element, scrollTo = true) => {
                               element;
     targetEl = questionContainer;
   }
+  if (isMicrosoftForm) {
+    targetEl = element.closest(MS_QUESTION_SELECTOR) || element;
+  }
   
   // Scroll into view
   if (scrollTo) {
@@ -1928,9 +5095,103 @@ const highlightElement = (element, scrollTo = true) => {
   }, 2000);
 };
 
+/**
+ * Answer capture (opt-in — popup setting "captureAnswers")
+ * Text typed into a free-text field that no profile key matches is sent to the
+ * answer bank on blur and on form submit, under the field's question label.
+ */
+let captureAnswers = false;
+
+// Text last sent per field, so leaving a field unchanged sends nothing again
+const capturedAnswers = new WeakMap();
+
+// Set by fillQuestion — blur events from the extension's own writes are not answers
+let fillingQuestion = false;
+
+// Longest answer the answer bank stores
+const MAX_CAPTURED_ANSWER = 2000;
+
+// Never captured: credentials and codes, payment and bank details, government ID
+// numbers (Aadhaar, PAN, SSN, passport …) and birth dates asked to verify identity.
+// Entries are regular expression fragments matched as whole words.
+const SENSITIVE_ANSWER_LABEL = new RegExp(
+  `\\b(?:${[
+    "otp", "one time password", "captcha", "password", "passcode", "pin", "cvv", "cvc",
+    "security code", "security question", "maiden name",
+    "card number", "credit card", "debit card", "expiry", "bank", "account number",
+    "account no", "a/c", "ifsc", "micr", "iban", "swift", "routing number", "sort code", "upi",
+    "aadhaar", "aadhar", "adhaar", "pan(?![ -]india)", "permanent account number", "ssn",
+    "social security", "national id", "national insurance", "passport", "voter id",
+    "driving licence", "driving license", "tax id",
+    "date of birth", "dob", "birth date",
+  ].join("|")})\\b`,
+);
+
+/**
+ * Send a field's text to the answer bank when capture is on and it qualifies
+ * @param {HTMLElement} element - Field the user left or submitted
+ */
+const captureAnswer = (element) => {
+  if (!captureAnswers || fillingQuestion || !element?.isConnected) return;
+  const type = (element.type || element.tagName || "").toLowerCase();
+  if (!FREE_TEXT_TYPES.includes(type)) return;
+  if (/^(?:cc-|one-time-code)/.test(element.autocomplete || "")) return;
+
+  const answer = (element.value || "").trim();
+  if (!answer || answer.length > MAX_CAPTURED_ANSWER || capturedAnswers.get(element) === answer) return;
+
+  const label = getFieldLabel(element);
+  if (!label || isUnsafeLabel(label) || SENSITIVE_ANSWER_LABEL.test(label)) return;
+
+  // Fields a profile key covers belong to the profile, not the answer bank
+  const profile = autofillSession?.profile || null;
+  const fieldText = `${label} ${element.placeholder || ""} ${element.name || ""} ${element.id || ""}`;
+  if (findBestMatchWithScore(fieldText.toLowerCase(), buildFieldMap(profile)).score >= MEDIUM_CONFIDENCE) {
+    return;
+  }
+  // A saved answer filled as is is already in the bank
+  if ((profile?.answers || []).some((saved) => saved.answer === answer)) return;
+
+  capturedAnswers.set(element, answer);
+  chrome.runtime.sendMessage({ type: "CAPTURE_ANSWER", question: label, answer });
+};
+
+/**
+ * Keep a field's current text out of the answer bank — a filled template is
+ * company-specific, not an answer to suggest on other forms
+ * @param {HTMLElement} element - Field just filled
+ */
+const ignoreCapturedText = (element) => {
+  capturedAnswers.set(element, (element.value || "").trim());
+};
+
+chrome.storage.local.get(["captureAnswers"], (result) => {
+  captureAnswers = !!result.captureAnswers;
+});
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.captureAnswers) {
+    captureAnswers = !!changes.captureAnswers.newValue;
+  }
+});
+
+// Capture phase, so pages that stop propagation still report; composedPath()
+// reaches fields inside open shadow roots
+document.addEventListener(
+  "focusout",
+  (event) => captureAnswer(event.composedPath()[0]),
+  true,
+);
+document.addEventListener(
+  "submit",
+  (event) => {
+    event.target.querySelectorAll?.("input, textarea").forEach(captureAnswer);
+  },
+  true,
+);
+
 /**
  * Message listener for communication with popup
- * Handles async autofill (Google Forms dropdowns require awaited click simulation)
+ * Handles async autofill (platform dropdowns require awaited click simulation)
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // PING used by popup to detect if content script is already injected
@@ -1941,9 +5202,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   // Highlight a single field (scroll to it and flash highlight)
   if (request.action === "HIGHLIGHT_FIELD") {
-    const element = elementRegistry.get(request.fieldId);
-    if (element && document.contains(element)) {
-      highlightElement(element);
+    const entry = elementRegistry.get(request.fieldId);
+    if (entry && entry.element.isConnected) {
+      highlightElement(entry.question.container || entry.element);
       sendResponse({ success: true });
     } else {
       sendResponse({ success: false, error: "Field not found" });
@@ -1954,13 +5215,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Highlight all pending fields
   if (request.action === "HIGHLIGHT_ALL_FIELDS") {
     let highlighted = 0;
-    const firstElement = elementRegistry.get(request.fieldIds[0]);
     
     request.fieldIds.forEach((fieldId, index) => {
-      const element = elementRegistry.get(fieldId);
-      if (element && document.contains(element)) {
+      const entry = elementRegistry.get(fieldId);
+      if (entry && entry.element.isConnected) {
+        const target = entry.question.container || entry.element;
         // Stagger the highlights slightly
-        setTimeout(() => highlightElement(element, index === 0), index * 100);
+        setTimeout(() => highlightElement(target, index === 0), index * 100);
         highlighted++;
       }
     });
@@ -1969,6 +5230,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return;
   }
 
+  // Merged summary of the current autofill session (popup reopened mid-form)
+  if (request.action === "GET_AUTOFILL_SESSION") {
+    sendResponse({
+      session: autofillSession && {
+        active: autofillSession.active,
+        profile: autofillSession.profile,
+        ...autofillSession.summary,
+      },
+    });
+    return;
+  }
+
+  // Fields the latest run changed (for the popup's undo list)
+  if (request.action === "GET_FILL_JOURNAL") {
+    sendResponse({ fields: getJournalFields() });
+    return;
+  }
+
+  // Roll back the latest run, or one field of it, to the journaled values
+  if (request.action === "UNDO_AUTOFILL") {
+    undoAutofill(request.fieldId || null)
+      .then((result) => sendResponse({ status: "undone", ...result }))
+      .catch((err) => sendResponse({ status: "error", error: err.message }));
+  }
+
   if (request.action === "SCAN_PAGE") {
     const detectedFields = detectFormFields();
     sendResponse({
@@ -1979,9 +5265,41 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
   }
 
+  // The popup's per-site "type key by key" setting travels with every fill request
+  if (["AUTOFILL_PAGE", "APPLY_PLAN", "CONFIRM_AUTOFILL"].includes(request.action)) {
+    forceKeystrokeTyping = !!request.typeKeystrokes;
+  }
+
   if (request.action === "AUTOFILL_PAGE") {
-    // Delay for Google Forms to ensure all elements are rendered
-    const delay = isGoogleForm ? 800 : 0;
+    // Delay for platforms that render questions asynchronously (Google/Microsoft Forms)
+    const delay = Math.max(
+      ...getActiveAdapters().map((adapter) => adapter.renderDelay || 0),
+    );
+
+    setTimeout(async () => {
+      try {
+        const summary = await startAutofillSession(
+          request.profile,
+          request.domain,
+          request.siteMappings,
+        );
+        sendResponse({
+          status: "completed",
+          active: autofillSession.active,
+          ...summary,
+        });
+      } catch (err) {
+        console.error("[Content] Autofill error:", err);
+        sendResponse({ status: "error", error: err.message });
+      }
+    }, delay);
+  }
+
+  // Dry run: same matching pipeline as AUTOFILL_PAGE, returns a plan and writes nothing
+  if (request.action === "PREVIEW_AUTOFILL") {
+    const delay = Math.max(
+      ...getActiveAdapters().map((adapter) => adapter.renderDelay || 0),
+    );
 
     setTimeout(async () => {
       try {
@@ -1989,66 +5307,63 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           request.profile,
           request.domain,
           request.siteMappings,
+          { preview: true },
         );
         sendResponse(result);
       } catch (err) {
-        console.error("[Content] Autofill error:", err);
+        console.error("[Content] Preview error:", err);
         sendResponse({ status: "error", error: err.message });
       }
     }, delay);
   }
 
+  if (request.action === "APPLY_PLAN") {
+    applyPlan(request.profile, request.plan || [])
+      .then((result) => sendResponse({ status: "applied", ...result }))
+      .catch((err) => sendResponse({ status: "error", error: err.message }));
+  }
+
   if (request.action === "CONFIRM_AUTOFILL") {
-    // Async handler for confirmations (Google dropdown confirmations need await)
+    // Async handler for confirmations (adapter fills may need await)
     (async () => {
       let confirmedCount = 0;
       const confirmedFields = [];
+      const failedFields = [];
 
       for (const confirmation of request.confirmations) {
-        const { fieldId, selectedKey, profile } = confirmation;
-
-        // Get element from registry (no DOM query needed)
-        const element = elementRegistry.get(fieldId);
-
-        if (!element) {
-          console.warn("[Content] ⚠️ Element not found in registry:", fieldId);
-          continue;
-        }
+        const { fieldId, selectedKey, profile, text } = confirmation;
 
-        // Safety check: ensure element is still in DOM (Google Forms can re-render)
-        if (!document.contains(element)) {
-          console.warn("[Content] ⚠️ Element detached from DOM:", fieldId);
-          continue;
-        }
+        // Get element and its owning adapter from registry (no DOM query needed)
+        const entry = getLiveEntry(fieldId);
+        if (!entry) continue;
 
         if (selectedKey && profile) {
-          const config = FIELD_MAP[selectedKey];
+          const config = buildFieldMap(profile)[selectedKey];
           if (config) {
-            const value = getValueByPath(profile, config.path);
+            // A template fills the text the user confirmed in the popup
+            const value = config.isTemplate ? text : getProfileValue(profile, config);
 
             if (value) {
-              let success = false;
-
-              // Route through Google Forms handlers based on fieldId prefix
-              if (fieldId.startsWith("gd_")) {
-                success = await fillGoogleDropdownHybrid(
-                  element,
-                  value,
-                  config,
-                );
-              } else if (fieldId.startsWith("gr_")) {
-                success = fillGoogleRadioHybrid(value, config, element);
-              } else {
-                success = fillField(element, value, config);
-              }
+              // Route through the adapter that detected the question
+              const success = await fillQuestion(
+                getAdapterById(entry.adapter),
+                entry.question,
+                value,
+                config,
+                fieldId,
+                isDerivedValue(profile, config),
+              );
 
               if (success) {
+                if (config.isTemplate) ignoreCapturedText(entry.element);
                 confirmedCount++;
                 confirmedFields.push({ fieldId, selectedKey, value });
+              } else {
+                failedFields.push(entry.label || fieldId);
               }
             } else {
               console.warn(
-                `[Content] ⚠️ No value found for path: ${config.path}`,
+                `[Content] ⚠️ No value found for key: ${selectedKey}`,
               );
             }
           } else {
@@ -2065,10 +5380,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
       }
 
+      // Reviewed fields (confirmed or skipped) leave the session's pending list
+      if (autofillSession) {
+        const resolved = new Set(
+          request.resolvedFieldIds ||
+            request.confirmations.map((confirmation) => confirmation.fieldId),
+        );
+        autofillSession.summary.pendingConfirmations =
+          autofillSession.summary.pendingConfirmations.filter(
+            (pending) => !resolved.has(pending.fieldId),
+          );
+      }
+
       sendResponse({
         status: "confirmed",
         confirmedCount,
         confirmedFields,
+        failedFields,
       });
     })();
   }
@@ -0,0 +1,340 @@
+/**
+ * ── Fillr Learned Mapping Scopes ──────────────────────────
+ * Where a learned label → FIELD_MAP key mapping applies.
+ * Loaded by background.js (importScripts), popup.html and options.html (<script>),
+ * and injected ahead of content.js.
+ *
+ * chrome.storage.local.siteMappings, grouped by hostname:
+ *   {
+ *     "docs.google.com": {
+ *       forms:  { "<form id>": { label: key } },  // one Google / Microsoft Form
+ *       paths:  { "/careers/apply/*": { label: key } }, // one page of a portal
+ *       domain: { label: key },                   // whole site (fallback)
+ *     }
+ *   }
+ * Before scopes existed each hostname held a flat { label: key } map; those
+ * become the hostname's domain scope (see upgradeSiteMappings).
+ *
+ * chrome.storage.local.mappingMeta records when each mapping last changed on
+ * this device, keyed by mappingEntryId: { updatedAt, deleted }. Cleared
+ * mappings stay as tombstones (deleted: true) so a sync removes them from the
+ * server and other devices instead of bringing them back.
+ */
+
+// Using var / function declarations so importScripts can re-import (see env.js).
+// eslint-disable-next-line no-unused-vars
+var MAPPINGS_VERSION = 2;
+
+// FIELD_MAP keys a label can be mapped to (content.js) — custom_* keys come from the profile
+// eslint-disable-next-line no-unused-vars
+var MAPPING_FIELD_KEYS = [
+  'name', 'first_name', 'middle_name', 'last_name',
+  'email', 'phone', 'phone_country_code', 'gender', 'dob', 'age',
+  'permanent_address', 'permanent_address_line', 'permanent_city', 'permanent_state',
+  'permanent_pincode', 'permanent_country', 'address_same_as_permanent',
+  'current_address', 'current_address_line', 'current_city', 'current_state',
+  'current_pincode', 'current_country',
+  'tenth_percentage', 'twelfth_percentage', 'diploma_percentage', 'graduation_percentage', 'pg_percentage', 'cgpa',
+  'active_backlog', 'backlog_count', 'gap_months',
+  'uid', 'university_roll_number',
+  'college_name', 'batch', 'program', 'stream',
+  'position_applying',
+  'github', 'linkedin', 'portfolio'
+];
+
+/**
+ * Prefix for keys generated from the user's custom profile fields
+ * Keeps them in their own namespace so they can never shadow a FIELD_MAP key
+ */
+// eslint-disable-next-line no-unused-vars
+var CUSTOM_KEY_PREFIX = 'custom_';
+
+/**
+ * Derive a stable field key from a custom field label
+ * Keyed by label rather than array index so learned mappings survive reordering.
+ * The one definition for content.js (field map) and the popup (mapping choices).
+ * @param {string} label - User-supplied label (e.g. "Hostel Block")
+ * @returns {string} Field key (e.g. "custom_hostel_block"); just the prefix when
+ *   the label has no letters or digits
+ */
+// eslint-disable-next-line no-unused-vars
+function getCustomFieldKey(label) {
+  const slug = String(label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/ /g, '_');
+  return CUSTOM_KEY_PREFIX + slug;
+}
+
+// Keys getCustomFieldKey() can produce
+var CUSTOM_KEY_PATTERN = new RegExp(`^${CUSTOM_KEY_PREFIX}[a-z0-9]+(?:_[a-z0-9]+)*$`);
+
+/**
+ * Whether a learned mapping may point at this key: a built-in field or a custom field
+ * @param {string} key - Field key
+ * @returns {boolean} True for MAPPING_FIELD_KEYS and custom field keys
+ */
+// eslint-disable-next-line no-unused-vars
+function isMappingKey(key) {
+  return MAPPING_FIELD_KEYS.includes(key) || CUSTOM_KEY_PATTERN.test(key);
+}
+
+/**
+ * Prefix for keys of saved free-text answers (the answer bank)
+ * Keyed by answerId so the key survives edits to the question or answer
+ */
+// eslint-disable-next-line no-unused-vars
+var ANSWER_KEY_PREFIX = 'answer_';
+
+/**
+ * Field key of a saved answer
+ * The one definition for content.js (field map) and the popup (confirmation choices).
+ * @param {Object} answer - { answerId, question, label, answer }
+ * @returns {string} Field key (e.g. "answer_3f1c…")
+ */
+// eslint-disable-next-line no-unused-vars
+function getAnswerKey(answer) {
+  return ANSWER_KEY_PREFIX + answer.answerId;
+}
+
+// Prefix for keys of answer templates, keyed by templateId like saved answers
+// eslint-disable-next-line no-unused-vars
+var TEMPLATE_KEY_PREFIX = 'template_';
+
+/**
+ * Field key of an answer template
+ * @param {Object} template - { templateId, question, text }
+ * @returns {string} Field key (e.g. "template_9a2e…")
+ */
+// eslint-disable-next-line no-unused-vars
+function getTemplateKey(template) {
+  return TEMPLATE_KEY_PREFIX + template.templateId;
+}
+
+// Longest label the sync server stores (server/src/controllers/mappingController.js)
+var MAPPING_LABEL_MAX_LENGTH = 200;
+
+/**
+ * Normalize a field label the way learned mappings store it
+ * (content.js reports labels lowercased; this also drops surrounding whitespace)
+ * @param {string} text - Label text
+ * @returns {string} Normalized label
+ */
+// eslint-disable-next-line no-unused-vars
+function normalizeMappingLabel(text) {
+  return String(text || '').toLowerCase().trim();
+}
+
+// Path segments that identify one record rather than a page (job / application IDs)
+var ID_PATH_SEGMENT = /^(?:\d+|[0-9a-f-]{16,}|.*\d{4,}.*)$/i;
+
+/**
+ * Scope of a page for learned mappings
+ * @param {string} href - Page URL
+ * @returns {Object|null} { domain, form, path } — form is the Google/Microsoft Form ID,
+ *   path the page path with ID segments as "*"; both null for domain-wide pages
+ */
+// eslint-disable-next-line no-unused-vars
+function getMappingScope(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+
+  const domain = url.hostname;
+  let form = null;
+  if (domain === 'docs.google.com') {
+    // /forms/d/e/<id>/viewform (published) or /forms/d/<id>/edit
+    form = url.pathname.match(/\/forms\/d\/(?:e\/)?([\w-]+)/)?.[1] || null;
+  } else if (domain === 'forms.office.com') {
+    // /Pages/ResponsePage.aspx?id=<id> or the short /r/<id> link
+    form = url.searchParams.get('id') || url.pathname.match(/\/r\/([\w-]+)/)?.[1] || null;
+  }
+
+  const segments = url.pathname
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => (ID_PATH_SEGMENT.test(segment) ? '*' : segment.toLowerCase()));
+  const path = !form && segments.length > 0 ? `/${segments.join('/')}` : null;
+
+  return { domain, form, path };
+}
+
+/**
+ * Human-readable name of a scope, for the popup
+ * @param {Object} scope - From getMappingScope
+ * @returns {string} e.g. "this form", "example.com/careers/apply/*", "example.com"
+ */
+// eslint-disable-next-line no-unused-vars
+function describeMappingScope(scope) {
+  if (scope.form) return 'this form';
+  if (scope.path) return `${scope.domain}${scope.path}`;
+  return scope.domain;
+}
+
+/**
+ * Convert stored mappings to the scoped shape; already scoped hosts are kept as is
+ * @param {Object} stored - chrome.storage.local.siteMappings
+ * @returns {Object} Scoped siteMappings
+ */
+// eslint-disable-next-line no-unused-vars
+function upgradeSiteMappings(stored) {
+  const upgraded = {};
+  Object.entries(stored || {}).forEach(([host, entry]) => {
+    const legacy = Object.values(entry || {}).some((value) => typeof value === 'string');
+    upgraded[host] = legacy
+      ? { forms: {}, paths: {}, domain: { ...entry } }
+      : { forms: {}, paths: {}, domain: {}, ...entry };
+  });
+  return upgraded;
+}
+
+/**
+ * Mappings that apply to a page, one bucket per scope — the shape autofillPage
+ * takes as siteMappings (form, then path, then domain take precedence)
+ * @param {Object} siteMappings - Scoped siteMappings
+ * @param {Object} scope - From getMappingScope
+ * @returns {Object} { form, path, domain } label → key maps
+ */
+// eslint-disable-next-line no-unused-vars
+function getScopedMappings(siteMappings, scope) {
+  const host = (scope && siteMappings[scope.domain]) || {};
+  return {
+    form: (scope?.form && host.forms?.[scope.form]) || {},
+    path: (scope?.path && host.paths?.[scope.path]) || {},
+    domain: host.domain || {},
+  };
+}
+
+/**
+ * The bucket a correction on this page is saved to: the form, else the path,
+ * else the whole domain. Created when missing.
+ * @param {Object} siteMappings - Scoped siteMappings (mutated)
+ * @param {Object} scope - From getMappingScope
+ * @returns {Object} label → key map
+ */
+// eslint-disable-next-line no-unused-vars
+function getMappingBucket(siteMappings, scope) {
+  if (!siteMappings[scope.domain]) {
+    siteMappings[scope.domain] = { forms: {}, paths: {}, domain: {} };
+  }
+  const host = siteMappings[scope.domain];
+  if (scope.form) {
+    if (!host.forms[scope.form]) host.forms[scope.form] = {};
+    return host.forms[scope.form];
+  }
+  if (scope.path) {
+    if (!host.paths[scope.path]) host.paths[scope.path] = {};
+    return host.paths[scope.path];
+  }
+  return host.domain;
+}
+
+/**
+ * Scope and scope ID a page's corrections are stored under (see getMappingBucket)
+ * @param {Object} scope - From getMappingScope
+ * @returns {Object} { scope: 'form' | 'path' | 'domain', scopeId }
+ */
+// eslint-disable-next-line no-unused-vars
+function getMappingBucketScope(scope) {
+  if (scope.form) return { scope: 'form', scopeId: scope.form };
+  if (scope.path) return { scope: 'path', scopeId: scope.path };
+  return { scope: 'domain', scopeId: '' };
+}
+
+/**
+ * Identity of one mapping across devices (host, scope, form ID / path, label)
+ * @returns {string} mappingMeta key
+ */
+// eslint-disable-next-line no-unused-vars
+function mappingEntryId(host, scope, scopeId, label) {
+  return [host, scope, scopeId || '', label].join('\n');
+}
+
+/**
+ * Record that mappings changed on this device now
+ * @param {Object} meta - chrome.storage.local.mappingMeta (mutated)
+ * @param {Array<string>} ids - mappingEntryId of each changed mapping
+ * @param {boolean} deleted - true when the mappings were cleared
+ */
+// eslint-disable-next-line no-unused-vars
+function touchMappingMeta(meta, ids, deleted) {
+  const updatedAt = Date.now();
+  ids.forEach((id) => {
+    meta[id] = { updatedAt, deleted };
+  });
+}
+
+/**
+ * Flatten scoped mappings into sync entries, the shape /api/mappings uses
+ * @param {Object} siteMappings - Scoped siteMappings
+ * @param {Object} meta - mappingMeta; mappings without one count as never changed (0)
+ * @returns {Array<Object>} { host, scope, scopeId, label, key, deleted, updatedAt },
+ *   tombstones included
+ */
+// eslint-disable-next-line no-unused-vars
+function flattenSiteMappings(siteMappings, meta) {
+  const entries = new Map();
+  const add = (host, scope, scopeId, bucket) => {
+    Object.entries(bucket || {}).forEach(([label, key]) => {
+      const id = mappingEntryId(host, scope, scopeId, label);
+      entries.set(id, { host, scope, scopeId, label, key, deleted: false, updatedAt: meta[id]?.updatedAt || 0 });
+    });
+  };
+  Object.entries(siteMappings || {}).forEach(([host, entry]) => {
+    Object.entries(entry.forms || {}).forEach(([form, bucket]) => add(host, 'form', form, bucket));
+    Object.entries(entry.paths || {}).forEach(([path, bucket]) => add(host, 'path', path, bucket));
+    add(host, 'domain', '', entry.domain);
+  });
+  Object.entries(meta || {}).forEach(([id, { updatedAt, deleted }]) => {
+    if (!deleted || entries.has(id)) return;
+    const [host, scope, scopeId, label] = id.split('\n');
+    entries.set(id, { host, scope, scopeId, label, key: '', deleted: true, updatedAt });
+  });
+  return [...entries.values()];
+}
+
+/**
+ * Merge two sets of sync entries, last writer wins per mapping
+ * (ties keep the first set's entry)
+ * @param {Array<Object>} local - From flattenSiteMappings
+ * @param {Array<Object>} remote - From GET /api/mappings
+ * @returns {Array<Object>} Merged entries
+ */
+// eslint-disable-next-line no-unused-vars
+function mergeMappingEntries(local, remote) {
+  const merged = new Map();
+  [...local, ...remote].forEach((entry) => {
+    const id = mappingEntryId(entry.host, entry.scope, entry.scopeId, entry.label);
+    const seen = merged.get(id);
+    if (!seen || entry.updatedAt > seen.updatedAt) merged.set(id, entry);
+  });
+  return [...merged.values()];
+}
+
+/**
+ * Rebuild scoped mappings and their meta from sync entries
+ * @param {Array<Object>} entries - Merged entries
+ * @returns {Object} { siteMappings, mappingMeta } ready for chrome.storage.local
+ */
+// eslint-disable-next-line no-unused-vars
+function buildSiteMappings(entries) {
+  const siteMappings = {};
+  const mappingMeta = {};
+  entries.forEach(({ host, scope, scopeId, label, key, deleted, updatedAt }) => {
+    mappingMeta[mappingEntryId(host, scope, scopeId, label)] = { updatedAt, deleted };
+    if (deleted) return;
+    const bucketScope = {
+      domain: host,
+      form: scope === 'form' ? scopeId : null,
+      path: scope === 'path' ? scopeId : null,
+    };
+    getMappingBucket(siteMappings, bucketScope)[label] = key;
+  });
+  return { siteMappings, mappingMeta };
+}
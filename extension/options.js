@@ -0,0 +1,335 @@
+/**
+ * Options Script - Learned Mappings Manager
+ * Lists every learned label → key mapping across sites, forms and pages;
+ * edits, deletes, searches, and exports/imports the siteMappings store as JSON
+ */
+
+// DOM Elements
+const searchInput = document.getElementById('searchInput');
+const mappingsContent = document.getElementById('mappingsContent');
+const mappingCount = document.getElementById('mappingCount');
+const importFile = document.getElementById('importFile');
+
+// Entries currently on screen — rows refer to them by index
+let visibleEntries = [];
+
+/**
+ * Sanitize a string for safe insertion into innerHTML.
+ * Labels and keys can come from an imported file or a page.
+ * @param {string} str - Untrusted string
+ * @returns {string} HTML-escaped string
+ */
+const esc = (str) => {
+  if (!str) return '';
+  const el = document.createElement('span');
+  el.textContent = String(str);
+  return el.innerHTML.replace(/"/g, '&quot;');
+};
+
+/**
+ * Show toast notification
+ * @param {string} message - Message to display
+ * @param {string} type - 'success', 'error', or 'warn'
+ */
+const showToast = (message, type = 'success') => {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.className = `toast ${type} show`;
+
+  clearTimeout(toast._timer);
+  toast._timer = setTimeout(() => {
+    toast.className = 'toast';
+  }, 3000);
+};
+
+/**
+ * Storage
+ */
+
+/**
+ * Read every mapping as sync entries (see mappings.js), tombstones included
+ * @returns {Promise<Array<Object>>} { host, scope, scopeId, label, key, deleted, updatedAt }
+ */
+const readEntries = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['siteMappings', 'mappingMeta'], (result) => {
+      resolve(flattenSiteMappings(upgradeSiteMappings(result.siteMappings), result.mappingMeta || {}));
+    });
+  });
+};
+
+// Writes run one after another, each on the latest stored state
+let entryWrites = Promise.resolve();
+
+/**
+ * Change the stored mappings and sync them to the account
+ * @param {Function} change - Receives the entries and changes them in place
+ * @returns {Promise<void>}
+ */
+const updateEntries = (change) => {
+  const done = entryWrites.then(async () => {
+    const entries = await readEntries();
+    change(entries);
+    await chrome.storage.local.set(buildSiteMappings(entries));
+  });
+  entryWrites = done.catch(() => {});
+  return done.then(() => {
+    chrome.runtime.sendMessage({ type: 'SYNC_MAPPINGS' });
+  });
+};
+
+const entryIdOf = (entry) => mappingEntryId(entry.host, entry.scope, entry.scopeId, entry.label);
+
+/**
+ * Rendering
+ */
+
+const SCOPE_ORDER = { form: 0, path: 1, domain: 2 };
+
+/**
+ * Heading of a scope within its site
+ * @param {Object} entry - Sync entry
+ * @returns {string} e.g. "Form 1FAIpQLSf…", "Page /careers/apply/*", "Whole site"
+ */
+const describeEntryScope = (entry) => {
+  if (entry.scope === 'form') return `Form ${entry.scopeId}`;
+  if (entry.scope === 'path') return `Page ${entry.scopeId}`;
+  return 'Whole site';
+};
+
+const matchesSearch = (entry, query) => {
+  if (!query) return true;
+  return [entry.host, entry.scopeId, entry.label, entry.key]
+    .some((text) => String(text).toLowerCase().includes(query));
+};
+
+/**
+ * Key dropdown for one mapping — keys not in MAPPING_FIELD_KEYS (custom fields) are kept
+ * @param {string} selectedKey - Current key
+ * @returns {string} <option> HTML
+ */
+const keyOptions = (selectedKey) => {
+  const keys = MAPPING_FIELD_KEYS.includes(selectedKey) ? MAPPING_FIELD_KEYS : [selectedKey, ...MAPPING_FIELD_KEYS];
+  return keys.map((key) => `
+    <option value="${esc(key)}" ${key === selectedKey ? 'selected' : ''}>${esc(key)}</option>
+  `).join('');
+};
+
+/**
+ * Render all live mappings matching the search, one card per site
+ */
+const renderMappings = async () => {
+  const query = searchInput.value.trim().toLowerCase();
+  const live = (await readEntries()).filter((entry) => !entry.deleted);
+
+  visibleEntries = live
+    .filter((entry) => matchesSearch(entry, query))
+    .sort((a, b) => a.host.localeCompare(b.host)
+      || SCOPE_ORDER[a.scope] - SCOPE_ORDER[b.scope]
+      || a.scopeId.localeCompare(b.scopeId)
+      || a.label.localeCompare(b.label));
+
+  mappingCount.textContent = query
+    ? `${visibleEntries.length} of ${live.length} mappings`
+    : `${live.length} mappings`;
+
+  if (visibleEntries.length === 0) {
+    mappingsContent.innerHTML = `
+      <section class="card">
+        <p class="no-fields">${live.length === 0
+          ? 'Nothing learned yet. Corrections you confirm in the popup show up here.'
+          : 'No mappings match your search.'}</p>
+      </section>
+    `;
+    return;
+  }
+
+  let html = '';
+  visibleEntries.forEach((entry, index) => {
+    const previous = visibleEntries[index - 1];
+    const newHost = !previous || previous.host !== entry.host;
+    const newScope = newHost || previous.scope !== entry.scope || previous.scopeId !== entry.scopeId;
+
+    if (newHost) {
+      if (previous) html += '</div></section>';
+      html += `<section class="card learned-section"><div class="card-label accent">${esc(entry.host)}</div><div class="learned-content">`;
+    }
+    if (newScope) {
+      html += `<div class="options-scope" title="${esc(entry.scopeId)}">${esc(describeEntryScope(entry))}</div>`;
+    }
+    html += `
+      <div class="learned-item" data-index="${index}">
+        <span class="learned-label">${esc(entry.label)}</span>
+        <span class="learned-arrow">→</span>
+        <select class="plan-key options-key" title="Field this label fills">${keyOptions(entry.key)}</select>
+        <button class="btn btn-ghost btn-xs options-delete" title="Forget this mapping">Delete</button>
+      </div>
+    `;
+  });
+  html += '</div></section>';
+
+  mappingsContent.innerHTML = html;
+};
+
+/**
+ * Edit / Delete
+ */
+
+const handleKeyChange = async (row, key) => {
+  const target = entryIdOf(visibleEntries[row.dataset.index]);
+  await updateEntries((entries) => {
+    const entry = entries.find((e) => entryIdOf(e) === target);
+    if (!entry) return;
+    entry.key = key;
+    entry.deleted = false;
+    entry.updatedAt = Date.now();
+  });
+  showToast('Mapping updated', 'success');
+};
+
+const handleDelete = async (row) => {
+  const target = entryIdOf(visibleEntries[row.dataset.index]);
+  // Kept as a tombstone so the deletion reaches other devices
+  await updateEntries((entries) => {
+    const entry = entries.find((e) => entryIdOf(e) === target);
+    if (!entry) return;
+    entry.key = '';
+    entry.deleted = true;
+    entry.updatedAt = Date.now();
+  });
+  showToast('Mapping deleted', 'success');
+};
+
+/**
+ * Export / Import
+ */
+
+/**
+ * Download the whole store as JSON — { fillrMappings, exportedAt, siteMappings }
+ */
+const handleExport = async () => {
+  const live = (await readEntries()).filter((entry) => !entry.deleted);
+  if (live.length === 0) {
+    showToast('No mappings to export', 'warn');
+    return;
+  }
+
+  const file = {
+    fillrMappings: MAPPINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    siteMappings: buildSiteMappings(live).siteMappings,
+  };
+  const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fillr-mappings-${file.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read mappings from an exported file (or a bare siteMappings object, flat or scoped)
+ * Labels are normalized as the popup saves them; mappings to unknown keys and
+ * over-long labels are skipped.
+ * @param {string} text - File contents
+ * @returns {{entries: Array<Object>, skipped: number}} Sync entries and the number skipped
+ * @throws {Error} When the file is not a mappings export
+ */
+const parseMappingFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a JSON file.');
+  }
+  const stored = data && typeof data.siteMappings === 'object' ? data.siteMappings : data;
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(stored)) throw new Error('No mappings found in this file.');
+
+  const isBucket = (bucket) => isObject(bucket) && Object.values(bucket).every((key) => typeof key === 'string');
+  const valid = Object.entries(stored).every(([host, entry]) =>
+    /^[a-z0-9.-]+$/i.test(host) && isObject(entry) && (
+      isBucket(entry) || (
+        (entry.domain === undefined || isBucket(entry.domain))
+        && [entry.forms, entry.paths].every((group) => group === undefined || (isObject(group) && Object.values(group).every(isBucket)))
+      )
+    ));
+  if (!valid) throw new Error('This file is not a Fillr mappings export.');
+
+  const all = flattenSiteMappings(upgradeSiteMappings(stored), {})
+    .map((entry) => ({ ...entry, label: normalizeMappingLabel(entry.label), key: entry.key.trim() }))
+    .filter((entry) => entry.label);
+  const entries = all.filter((entry) =>
+    isMappingKey(entry.key) && entry.label.length <= MAPPING_LABEL_MAX_LENGTH);
+  return { entries, skipped: all.length - entries.length };
+};
+
+const handleImport = async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+
+  let imported;
+  let skipped;
+  try {
+    ({ entries: imported, skipped } = parseMappingFile(await file.text()));
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+  const skippedNote = skipped > 0 ? ` (${skipped} skipped: unknown field or label too long)` : '';
+  if (imported.length === 0) {
+    showToast(`No mappings found in this file${skippedNote}`, 'warn');
+    return;
+  }
+
+  await updateEntries((entries) => {
+    const byId = new Map(entries.map((entry, index) => [entryIdOf(entry), index]));
+    const updatedAt = Date.now();
+    imported.forEach((entry) => {
+      const next = { ...entry, host: entry.host.toLowerCase(), deleted: false, updatedAt };
+      const index = byId.get(entryIdOf(next));
+      if (index === undefined) {
+        byId.set(entryIdOf(next), entries.length);
+        entries.push(next);
+      } else {
+        entries[index] = next;
+      }
+    });
+  });
+  showToast(`Imported ${imported.length} mappings${skippedNote}`, skipped > 0 ? 'warn' : 'success');
+};
+
+/**
+ * Initialize Options Page
+ */
+const init = () => {
+  renderMappings();
+  // Pull mappings learned on other devices; the storage listener re-renders
+  chrome.runtime.sendMessage({ type: 'SYNC_MAPPINGS', immediate: true });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.siteMappings) renderMappings();
+  });
+
+  searchInput.addEventListener('input', renderMappings);
+  mappingsContent.addEventListener('change', (e) => {
+    if (e.target.classList.contains('options-key')) {
+      handleKeyChange(e.target.closest('.learned-item'), e.target.value);
+    }
+  });
+  mappingsContent.addEventListener('click', (e) => {
+    const button = e.target.closest('.options-delete');
+    if (button) handleDelete(button.closest('.learned-item'));
+  });
+  document.getElementById('exportBtn').addEventListener('click', handleExport);
+  document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', handleImport);
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
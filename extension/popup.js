@@ -15,6 +15,8 @@ const saveTokenBtn = document.getElementById('saveTokenBtn');
 const confirmationsSection = document.getElementById('confirmationsSection');
 const confirmationsContent = document.getElementById('confirmationsContent');
 const applyConfirmationsBtn = document.getElementById('applyConfirmationsBtn');
+const personaSection = document.getElementById('personaSection');
+const personaSelect = document.getElementById('personaSelect');
 
 // ── Security: no direct API calls from popup ──────────────────
 // All API communication goes through background.js to prevent
@@ -33,6 +35,9 @@ const esc = (str) => {
   return el.innerHTML;
 };
 
+// Tooltip for values the content script derived (e.g. a percentage from the CGPA)
+const DERIVED_TITLE = 'Not in your profile — derived from other fields (e.g. percentage from CGPA)';
+
 /**
  * Show toast notification (replaces alert() for better UX)
  * @param {string} message - Message to display
@@ -69,6 +74,7 @@ const updatePendingBanner = (count) => {
 // Store pending confirmations and profile globally
 let pendingConfirmationsData = [];
 let currentProfile = null;
+let previewPlan = null; // { plan, choices, profile } from the last dry run
 
 /**
  * Highlight a field on the page by sending message to content script
@@ -129,55 +135,206 @@ const getCurrentDomain = () => {
   });
 };
 
+/**
+ * Get the learned-mapping scope of the active tab (form, path or domain)
+ * @returns {Promise<Object|null>} { domain, form, path } from getMappingScope, or null
+ */
+const getCurrentScope = () => {
+  return new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      resolve(tabs[0] ? getMappingScope(tabs[0].url) : null);
+    });
+  });
+};
+
 /**
  * Get all site mappings from storage
- * @returns {Promise<Object>} Site mappings object
+ * @returns {Promise<Object>} Scoped site mappings (see mappings.js)
  */
 const getSiteMappings = () => {
   return new Promise((resolve) => {
     chrome.storage.local.get(['siteMappings'], (result) => {
-      resolve(result.siteMappings || {});
+      // Upgraded on read too, in case the background migration hasn't run yet
+      resolve(upgradeSiteMappings(result.siteMappings));
     });
   });
 };
 
 /**
- * Save a single mapping for a domain
- * @param {string} domain - Domain name
+ * Get when each learned mapping last changed on this device
+ * @returns {Promise<Object>} mappingMeta (see mappings.js)
+ */
+const getMappingMeta = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['mappingMeta'], (result) => {
+      resolve(result.mappingMeta || {});
+    });
+  });
+};
+
+// Mapping writes run one after another — the confirmation flow saves several
+// labels at once and each write reads, changes and stores the whole map.
+let mappingWrites = Promise.resolve();
+
+const queueMappingWrite = (write) => {
+  const done = mappingWrites.then(write);
+  mappingWrites = done.catch(() => {});
+  return done.then(() => {
+    // Background pushes the change to the account (debounced)
+    chrome.runtime.sendMessage({ type: 'SYNC_MAPPINGS' });
+  });
+};
+
+/**
+ * Save a single mapping for the page's most specific scope (form, path, else domain)
+ * @param {Object} scope - Page scope from getCurrentScope
  * @param {string} label - Normalized field label
  * @param {string} selectedKey - FIELD_MAP key
  */
-const saveSiteMapping = async (domain, label, selectedKey) => {
-  const mappings = await getSiteMappings();
-  
-  if (!mappings[domain]) {
-    mappings[domain] = {};
+const saveSiteMapping = (scope, label, selectedKey) => queueMappingWrite(async () => {
+  const [mappings, meta] = await Promise.all([getSiteMappings(), getMappingMeta()]);
+  getMappingBucket(mappings, scope)[label] = selectedKey;
+  const bucket = getMappingBucketScope(scope);
+  touchMappingMeta(meta, [mappingEntryId(scope.domain, bucket.scope, bucket.scopeId, label)], false);
+  await chrome.storage.local.set({ siteMappings: mappings, mappingMeta: meta });
+});
+
+/**
+ * Clear the mappings used on a page: its own form/path scope and the domain fallback.
+ * Cleared labels are kept as tombstones so the sync removes them on other devices too.
+ * @param {Object} scope - Page scope from getCurrentScope
+ */
+const clearSiteMemory = (scope) => queueMappingWrite(async () => {
+  const [mappings, meta] = await Promise.all([getSiteMappings(), getMappingMeta()]);
+  const host = mappings[scope.domain];
+  if (!host) return;
+  const cleared = Object.keys(host.domain).map((label) => mappingEntryId(scope.domain, 'domain', '', label));
+  if (scope.form) {
+    Object.keys(host.forms[scope.form] || {}).forEach((label) => {
+      cleared.push(mappingEntryId(scope.domain, 'form', scope.form, label));
+    });
+    delete host.forms[scope.form];
   }
-  
-  mappings[domain][label] = selectedKey;
-  
-  await chrome.storage.local.set({ siteMappings: mappings });
+  if (scope.path) {
+    Object.keys(host.paths[scope.path] || {}).forEach((label) => {
+      cleared.push(mappingEntryId(scope.domain, 'path', scope.path, label));
+    });
+    delete host.paths[scope.path];
+  }
+  host.domain = {};
+  if (Object.keys(host.forms).length === 0 && Object.keys(host.paths).length === 0) {
+    delete mappings[scope.domain];
+  }
+  touchMappingMeta(meta, cleared, true);
+  await chrome.storage.local.set({ siteMappings: mappings, mappingMeta: meta });
+});
+
+/**
+ * Get the domains where values are typed key by key
+ * (sites whose masked phone/date/ID inputs reject a direct value write)
+ * @returns {Promise<Object>} Map of domain -> true
+ */
+const getTypingSites = () => {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['typingSites'], (result) => {
+      resolve(result.typingSites || {});
+    });
+  });
 };
 
 /**
- * Clear all mappings for a domain
+ * Whether fills on a domain should be typed key by key
  * @param {string} domain - Domain name
+ * @returns {Promise<boolean>}
  */
-const clearSiteMemory = async (domain) => {
-  const mappings = await getSiteMappings();
-  delete mappings[domain];
-  await chrome.storage.local.set({ siteMappings: mappings });
+const isTypingSite = async (domain) => {
+  if (!domain) return false;
+  const sites = await getTypingSites();
+  return !!sites[domain];
 };
 
 /**
- * Normalize label text for consistent storage
- * @param {string} text - Label text
- * @returns {string} Normalized text
+ * Show the per-site typing setting for the current tab
  */
-const normalizeLabel = (text) => {
-  return text.toLowerCase().trim();
+const displayTypingSetting = async () => {
+  const domain = await getCurrentDomain();
+  const toggle = document.getElementById('typeKeysToggle');
+  toggle.disabled = !domain;
+  toggle.checked = await isTypingSite(domain);
 };
 
+/**
+ * Save the per-site typing setting when the checkbox changes
+ */
+const handleTypingToggle = async (event) => {
+  const domain = await getCurrentDomain();
+  if (!domain) return;
+  
+  const sites = await getTypingSites();
+  if (event.target.checked) {
+    sites[domain] = true;
+  } else {
+    delete sites[domain];
+  }
+  await chrome.storage.local.set({ typingSites: sites });
+  showToast(event.target.checked ? `Typing key by key on ${domain}` : 'Direct fill restored', 'success');
+};
+
+/**
+ * Show the answer capture setting (applies to every site)
+ */
+const displayCaptureSetting = async () => {
+  const result = await chrome.storage.local.get(['captureAnswers']);
+  document.getElementById('captureAnswersToggle').checked = !!result.captureAnswers;
+};
+
+/**
+ * Save the answer capture setting — content scripts pick it up from storage
+ */
+const handleCaptureToggle = async (event) => {
+  await chrome.storage.local.set({ captureAnswers: event.target.checked });
+  showToast(event.target.checked ? 'Answers you type will be saved' : 'Answer capture off', 'success');
+};
+
+/**
+ * Build confirmation-dropdown choices for the user's custom profile fields.
+ * Keys come from getCustomFieldKey() (mappings.js), as in content.js.
+ * @param {Object} profile - User profile data
+ * @returns {Array<{key: string, label: string}>} Choices (key + display label)
+ */
+const getCustomFieldChoices = (profile) => {
+  const customFields = Array.isArray(profile?.custom_fields) ? profile.custom_fields : [];
+  const seen = new Set();
+
+  return customFields.reduce((choices, field) => {
+    const key = getCustomFieldKey(field?.label);
+    if (key !== CUSTOM_KEY_PREFIX && !seen.has(key)) {
+      seen.add(key);
+      choices.push({ key, label: `${field.label} (custom)` });
+    }
+    return choices;
+  }, []);
+};
+
+/**
+ * Build confirmation-dropdown choices for the user's saved answers.
+ * @param {Object} profile - User profile data (answers come with it, see fetchProfile)
+ * @returns {Array<{key: string, label: string}>} Choices (key + display label)
+ */
+const getAnswerChoices = (profile) => {
+  const answers = Array.isArray(profile?.answers) ? profile.answers : [];
+  return answers
+    .filter((answer) => answer?.answerId)
+    .map((answer) => ({ key: getAnswerKey(answer), label: `Saved answer: ${answer.question}` }));
+};
+
+// Saved answers and templates are re-suggested by question each time, never remembered per label
+const isAnswerKey = (key) => key.startsWith(ANSWER_KEY_PREFIX) || isTemplateKey(key);
+
+const isTemplateKey = (key) => key.startsWith(TEMPLATE_KEY_PREFIX);
+
+// A placeholder the page and profile had no value for, e.g. "{company}"
+const UNRESOLVED_PLACEHOLDER = /\{[a-z0-9_]+\}/i;
 
 /**
  * Token Storage Functions
@@ -213,17 +370,23 @@ const getToken = async () => {
  * Fetch user profile via background service worker (secure proxy).
  * The JWT never leaves chrome.storage.local — background.js handles
  * the Authorization header internally. Token is NEVER in popup context.
+ * @param {string} [personaId] - Named profile to merge over the base profile
  * @returns {Promise<Object>} User profile data
  */
-const fetchProfile = () => {
+const fetchProfile = (personaId = '') => {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({ type: 'FETCH_PROFILE' }, (res) => {
+    chrome.runtime.sendMessage({ type: 'FETCH_PROFILE', personaId }, (res) => {
       if (chrome.runtime.lastError) {
         return reject(new Error(chrome.runtime.lastError.message));
       }
       if (res && res.success) {
-        // Background returns { success, data: { profile, email } }
-        return resolve(res.data.profile);
+        // Background returns { success, data: { profile, email, answers, templates } };
+        // the answer bank and templates travel with the profile to the content script
+        return resolve({
+          ...res.data.profile,
+          answers: res.data.answers || [],
+          templates: res.data.templates || []
+        });
       }
       const msg = (res && res.message) || 'Failed to fetch profile.';
       if (res && res.code === 'UNAUTHORIZED') {
@@ -234,6 +397,72 @@ const fetchProfile = () => {
   });
 };
 
+/**
+ * Named Profiles (Personas) - Picker Helpers
+ */
+
+/**
+ * Fetch the user's named profiles via background service worker
+ * @returns {Promise<Array>} Personas ({ personaId, name, isDefault, ... })
+ */
+const fetchPersonas = () => {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'FETCH_PERSONAS' }, (res) => {
+      if (chrome.runtime.lastError || !res || !res.success) return resolve([]);
+      resolve(res.personas);
+    });
+  });
+};
+
+// Stored when the user explicitly picks "Base profile" — null means nothing was picked yet
+const BASE_PROFILE_CHOICE = 'base';
+
+/**
+ * Get the persona chosen in the picker last time (persists across popup opens)
+ * @returns {Promise<string|null>} personaId, BASE_PROFILE_CHOICE, or null
+ */
+const getSelectedPersonaId = async () => {
+  const result = await chrome.storage.local.get(['selectedPersonaId']);
+  return result.selectedPersonaId || null;
+};
+
+/**
+ * Populate the profile picker. Hidden when the account has no personas.
+ * Preselects the last choice (base profile included) if it still exists,
+ * otherwise the default persona.
+ */
+const loadPersonaPicker = async () => {
+  const personas = await fetchPersonas();
+
+  if (personas.length === 0) {
+    personaSection.style.display = 'none';
+    personaSelect.innerHTML = '';
+    return;
+  }
+
+  const storedId = await getSelectedPersonaId();
+  const defaultPersona = personas.find(p => p.isDefault);
+  let selectedId = defaultPersona ? defaultPersona.personaId : '';
+  if (storedId === BASE_PROFILE_CHOICE) selectedId = '';
+  else if (personas.some(p => p.personaId === storedId)) selectedId = storedId;
+
+  personaSelect.innerHTML = `
+    <option value="">Base profile</option>
+    ${personas.map(p => `
+      <option value="${esc(p.personaId)}">${esc(p.name)}${p.isDefault ? ' (default)' : ''}</option>
+    `).join('')}
+  `;
+  personaSelect.value = selectedId;
+  personaSection.style.display = 'block';
+};
+
+/**
+ * Remember the picker choice for the next popup open
+ */
+const handlePersonaChange = () => {
+  chrome.storage.local.set({ selectedPersonaId: personaSelect.value || BASE_PROFILE_CHOICE });
+};
+
 /**
  * Check login status and update UI
  */
@@ -247,11 +476,13 @@ const checkLoginStatus = async () => {
     statusText.textContent = 'Connected';
     logoutBtn.style.display = 'block';
     authDetail.textContent = '';
+    loadPersonaPicker();
   } else {
     statusDot.className = 'status-dot logged-out';
     statusText.textContent = 'Not Connected';
     logoutBtn.style.display = 'none';
     authDetail.textContent = '';
+    personaSection.style.display = 'none';
   }
 };
 
@@ -276,7 +507,8 @@ const ensureContentScript = async (tabId) => {
     // Content script not loaded — inject it now (requires activeTab)
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content.js'],
+      // mappings.js first — content.js uses its getCustomFieldKey()
+      files: ['mappings.js', 'content.js'],
     });
   }
 };
@@ -374,17 +606,15 @@ const displayConfirmations = (confirmations, profile) => {
   pendingConfirmationsData = confirmations;
   currentProfile = profile;
   
-  // Get all available field keys from FIELD_MAP (we'll need to import this or hardcode)
-  const fieldKeys = [
-    'name', 'email', 'phone', 'gender', 'dob', 'age', 'permanent_address',
-    'tenth_percentage', 'twelfth_percentage', 'diploma_percentage', 'graduation_percentage', 'pg_percentage', 'cgpa',
-    'active_backlog', 'backlog_count', 'gap_months',
-    'uid', 'university_roll_number', 
-    'college_name', 'batch', 'program', 'stream',
-    'position_applying',
-    'github', 'linkedin', 'portfolio'
+  const fieldChoices = [
+    ...MAPPING_FIELD_KEYS.map(key => ({ key, label: key })),
+    ...getCustomFieldChoices(profile),
+    ...getAnswerChoices(profile)
   ];
   
+  // Label which section each field came from when the session spans several
+  const multiSection = confirmations.some(conf => conf.section > 1);
+  
   confirmationsContent.innerHTML = '';
   
   confirmations.forEach((conf, index) => {
@@ -395,23 +625,35 @@ const displayConfirmations = (confirmations, profile) => {
         <div class="confirmation-label-row">
           <label class="confirmation-label">
             <strong>${esc(conf.labelText)}</strong>
-            <span class="confidence-badge">${(conf.confidence * 100).toFixed(0)}%</span>
+            <span class="confidence-badge">${conf.learned ? '🧠' : `${(conf.confidence * 100).toFixed(0)}%`}</span>
+            ${multiSection ? `<span class="section-badge">Section ${Number(conf.section) || 1}</span>` : ''}
+            ${conf.derived ? `<span class="section-badge" title="${DERIVED_TITLE}">derived</span>` : ''}
           </label>
           <button class="btn-show-field" data-field-id="${conf.fieldId}" title="Scroll to this field">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
             Show
           </button>
         </div>
+        ${conf.unmatchedValues?.length ? `<p class="confirmation-note">Partial match — no option for: ${esc(conf.unmatchedValues.join(', '))}</p>` : ''}
+        ${conf.reviewReason ? `<p class="confirmation-note">${esc(conf.reviewReason)}</p>` : ''}
+        ${conf.savedAnswer ? `<p class="confirmation-answer">${esc(conf.suggestedValue)}</p>` : ''}
+        ${conf.template ? `<textarea class="confirmation-template" rows="4" title="Edit before applying — this exact text is filled"></textarea>` : ''}
         <select class="confirmation-select" data-field-id="${conf.fieldId}">
           <option value="">-- Skip this field --</option>
-          ${fieldKeys.map(key => `
-            <option value="${key}" ${key === conf.suggestedKey ? 'selected' : ''}>
-              ${key} ${key === conf.suggestedKey ? '(suggested)' : ''}
+          ${[
+            ...fieldChoices,
+            ...(conf.template ? [{ key: conf.suggestedKey, label: `Template: ${conf.template.question}` }] : [])
+          ].map(({ key, label }) => `
+            <option value="${esc(key)}" ${key === conf.suggestedKey ? 'selected' : ''}>
+              ${esc(label)} ${key === conf.suggestedKey ? '(suggested)' : ''}
             </option>
           `).join('')}
         </select>
       </div>
     `;
+    // The resolved text goes through .value — never through attribute markup
+    const templateText = confItem.querySelector('.confirmation-template');
+    if (templateText) templateText.value = conf.suggestedValue;
     confirmationsContent.appendChild(confItem);
   });
   
@@ -438,9 +680,20 @@ const handleApplyConfirmations = async () => {
     // Collect user selections
     const confirmations = [];
     const selects = confirmationsContent.querySelectorAll('.confirmation-select');
+    // Every reviewed field (chosen or skipped) is cleared from the page's session
+    const resolvedFieldIds = Array.from(selects).map(select => select.getAttribute('data-field-id'));
     
-    // Get current domain for saving learned mappings
-    const domain = await getCurrentDomain();
+    // A template is filled with the text reviewed here — none may keep a placeholder
+    const unresolved = Array.from(selects).find(select => isTemplateKey(select.value) &&
+      UNRESOLVED_PLACEHOLDER.test(select.parentElement.querySelector('.confirmation-template')?.value || ''));
+    if (unresolved) {
+      const conf = pendingConfirmationsData.find(c => c.fieldId === unresolved.getAttribute('data-field-id'));
+      showToast(`Fill in the placeholders for "${conf?.labelText || 'template'}" first`, 'warn', 4000);
+      return;
+    }
+    
+    // Get the page's scope for saving learned mappings
+    const scope = await getCurrentScope();
     
     selects.forEach(select => {
       const fieldId = select.getAttribute('data-field-id');
@@ -450,16 +703,19 @@ const handleApplyConfirmations = async () => {
         // Find the original confirmation to get labelText
         const conf = pendingConfirmationsData.find(c => c.fieldId === fieldId);
         
-        if (conf && domain) {
-          const normalizedLabel = normalizeLabel(conf.labelText);
-          // Save learned mapping for this domain
-          saveSiteMapping(domain, normalizedLabel, selectedKey);
+        if (conf && scope && !isAnswerKey(selectedKey)) {
+          const normalizedLabel = normalizeMappingLabel(conf.labelText);
+          // Save learned mapping for this form / page
+          saveSiteMapping(scope, normalizedLabel, selectedKey);
         }
         
         confirmations.push({
           fieldId,
           selectedKey,
-          profile: currentProfile
+          profile: currentProfile,
+          ...(isTemplateKey(selectedKey) && {
+            text: select.parentElement.querySelector('.confirmation-template')?.value.trim() || ''
+          })
         });
       }
     });
@@ -474,16 +730,24 @@ const handleApplyConfirmations = async () => {
     
     const response = await chrome.tabs.sendMessage(tab.id, {
       action: 'CONFIRM_AUTOFILL',
-      confirmations: confirmations
+      confirmations: confirmations,
+      resolvedFieldIds,
+      typeKeystrokes: await isTypingSite(await getCurrentDomain())
     });
     
     if (response && response.status === 'confirmed') {
-      showToast(`✅ Confirmed ${response.confirmedCount} field(s)!`, 'success');
+      const failedFields = response.failedFields || [];
+      if (failedFields.length > 0) {
+        showToast(`✅ Confirmed ${response.confirmedCount} | ${failedFields.length} could not be filled`, 'warn', 4000);
+      } else {
+        showToast(`✅ Confirmed ${response.confirmedCount} field(s)!`, 'success');
+      }
       confirmationsSection.style.display = 'none';
       updatePendingBanner(0);
       pendingConfirmationsData = [];
       // Refresh learned mappings display
       displayLearnedMappings();
+      displayUndoJournal();
     }
     
   } catch (error) {
@@ -513,8 +777,9 @@ const handleAutofillPage = async () => {
       return;
     }
     
-    // Fetch profile via background proxy — token never enters popup context
-    const profileData = await fetchProfile();
+    // Fetch profile via background proxy — token never enters popup context.
+    // The picker's persona (if any) is merged server-side over the base profile.
+    const profileData = await fetchProfile(personaSelect.value);
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     
     if (!tab) {
@@ -525,28 +790,39 @@ const handleAutofillPage = async () => {
     // Inject content script if needed (non-Google-Forms pages)
     await ensureContentScript(tab.id);
     
-    // Get current domain and learned mappings
+    // Get current domain and the learned mappings for this form / page / site
     const domain = await getCurrentDomain();
-    const allMappings = await getSiteMappings();
-    const siteMappings = allMappings[domain] || {};
+    const siteMappings = getScopedMappings(await getSiteMappings(), await getCurrentScope());
     
     const response = await chrome.tabs.sendMessage(tab.id, {
       action: 'AUTOFILL_PAGE',
       profile: profileData,
       domain: domain,
-      siteMappings: siteMappings
+      siteMappings: siteMappings,
+      typeKeystrokes: await isTypingSite(domain)
     });
     
     if (response && response.status === 'completed') {
-      const { autoFilledCount, pendingConfirmations, filledFields, skippedFields } = response;
+      const { autoFilledCount, pendingConfirmations, filledFields, skippedFields, failedFields = [] } = response;
+      
+      if (response.active) {
+        // Multi-section form: later sections are filled as the user clicks "Next"
+        displaySessionSummary(response);
+      }
       
       // Display pending confirmations if any
       if (pendingConfirmations && pendingConfirmations.length > 0) {
         displayConfirmations(pendingConfirmations, profileData);
       }
       
+      // Offer undo for everything this run changed
+      displayUndoJournal();
+      
       // Show success toast
-      if (pendingConfirmations && pendingConfirmations.length > 0) {
+      if (failedFields.length > 0) {
+        // Matched but the page rejected or reverted the value (controlled inputs)
+        showToast(`⚠️ Filled ${autoFilledCount} | ${failedFields.length} did not keep the value`, 'warn', 4000);
+      } else if (pendingConfirmations && pendingConfirmations.length > 0) {
         showToast(`✅ Filled ${autoFilledCount} | ${pendingConfirmations.length} need review ↓`, 'warn', 4000);
       } else {
         showToast(`✅ Autofilled ${autoFilledCount} field(s)!`, 'success');
@@ -571,6 +847,195 @@ const handleAutofillPage = async () => {
   }
 };
 
+/**
+ * Preview Fills Button Handler — dry run of autofill, nothing is written to the page
+ */
+const handlePreviewPage = async () => {
+  const previewBtn = document.getElementById('previewBtn');
+  const previewLabel = previewBtn.innerHTML;
+  
+  try {
+    previewBtn.disabled = true;
+    previewBtn.textContent = 'Previewing...';
+    
+    const token = await getToken();
+    if (!token) {
+      showToast('Please connect first', 'warn');
+      return;
+    }
+    
+    const profileData = await fetchProfile(personaSelect.value);
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      showToast('No active tab found', 'error');
+      return;
+    }
+    
+    await ensureContentScript(tab.id);
+    
+    const domain = await getCurrentDomain();
+    const siteMappings = getScopedMappings(await getSiteMappings(), await getCurrentScope());
+    
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'PREVIEW_AUTOFILL',
+      profile: profileData,
+      domain: domain,
+      siteMappings: siteMappings
+    });
+    
+    if (response && response.status === 'preview') {
+      displayPlan(response, profileData);
+    } else {
+      showToast('Failed to preview page', 'error');
+    }
+  } catch (error) {
+    console.error('[Popup] Error previewing page:', error);
+    if (error.message.includes('Session expired')) {
+      showToast('Session expired. Reconnect please.', 'error');
+    } else {
+      showToast('Server unreachable', 'error');
+    }
+  } finally {
+    previewBtn.disabled = false;
+    previewBtn.innerHTML = previewLabel;
+  }
+};
+
+/**
+ * Render a dry-run plan as an editable table (include → field → key → value → confidence)
+ * @param {Object} response - PREVIEW_AUTOFILL result ({ plan, choices })
+ * @param {Object} profile - Profile used for the preview
+ */
+const displayPlan = (response, profile) => {
+  const planSection = document.getElementById('planSection');
+  const planContent = document.getElementById('planContent');
+  const { plan, choices } = response;
+  
+  previewPlan = { plan, choices, profile };
+  
+  if (plan.length === 0) {
+    planSection.style.display = 'none';
+    showToast('No fillable fields found', 'warn');
+    return;
+  }
+  
+  const keyOptions = (selectedKey) => choices.map(({ key, label }) => `
+    <option value="${esc(key)}" ${key === selectedKey ? 'selected' : ''}>${esc(label)}</option>
+  `).join('');
+  
+  planContent.innerHTML = plan.map((entry) => `
+    <tr class="${entry.needsReview ? 'plan-review' : ''}" data-field-id="${esc(entry.fieldId)}">
+      <td><input type="checkbox" class="plan-include" ${entry.needsReview ? '' : 'checked'}></td>
+      <td class="plan-label">
+        <span class="plan-label-text" title="${esc(entry.type)}">${esc(entry.label)}</span>
+        ${entry.option === null
+          ? '<span class="plan-option warn">no matching option</span>'
+          : entry.option !== String(entry.value) ? `<span class="plan-option">→ ${esc(entry.option)}</span>` : ''}
+        ${entry.reviewReason ? `<span class="plan-option warn">${esc(entry.reviewReason)}</span>` : ''}
+        <span class="plan-option plan-derived" title="${DERIVED_TITLE}" ${entry.derived ? '' : 'hidden'}>derived value</span>
+      </td>
+      <td><select class="plan-key">${keyOptions(entry.key)}</select></td>
+      <td><input type="text" class="plan-value"></td>
+      <td><span class="confidence-badge">${entry.learned ? '🧠' : (entry.confidence * 100).toFixed(0)}</span></td>
+    </tr>
+  `).join('');
+  
+  // Values go through .value — never through attribute markup
+  planContent.querySelectorAll('tr').forEach((row, index) => {
+    const valueInput = row.querySelector('.plan-value');
+    valueInput.value = String(plan[index].value);
+    
+    // Re-pointing a row to another key shows that key's profile value
+    row.querySelector('.plan-key').addEventListener('change', (e) => {
+      const choice = choices.find(c => c.key === e.target.value);
+      valueInput.value = choice ? String(choice.value) : '';
+      row.querySelector('.plan-derived').hidden = !choice?.derived;
+      row.querySelector('.plan-include').checked = true;
+    });
+    row.querySelector('.plan-label-text').addEventListener('click', () => highlightFieldOnPage(row.dataset.fieldId));
+  });
+  
+  planSection.style.display = 'block';
+  planSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+/**
+ * Apply Plan Button Handler — executes exactly the ticked rows of the preview
+ */
+const handleApplyPlan = async () => {
+  if (!previewPlan) return;
+  const applyPlanBtn = document.getElementById('applyPlanBtn');
+  
+  try {
+    applyPlanBtn.disabled = true;
+    applyPlanBtn.textContent = 'Applying...';
+    
+    const scope = await getCurrentScope();
+    const rows = document.querySelectorAll('#planContent tr');
+    const plan = [];
+    // Templates still holding a placeholder such as {company} are never filled
+    let unresolvedLabel = null;
+    
+    rows.forEach((row, index) => {
+      if (!row.querySelector('.plan-include').checked) return;
+      const original = previewPlan.plan[index];
+      const key = row.querySelector('.plan-key').value;
+      const value = row.querySelector('.plan-value').value.trim();
+      if (!key || !value) return;
+      if (isTemplateKey(key) && UNRESOLVED_PLACEHOLDER.test(value)) {
+        unresolvedLabel = unresolvedLabel || original.label;
+        return;
+      }
+      
+      // Corrections and reviewed rows are remembered, as in the confirmation flow
+      // (a learned row only needs review when it was learned on another form)
+      const reviewed = key !== original.key || original.needsReview;
+      if (scope && reviewed && (!original.learned || original.needsReview) && !isAnswerKey(key)) {
+        saveSiteMapping(scope, normalizeMappingLabel(original.label), key);
+      }
+      plan.push({ fieldId: original.fieldId, key, value });
+    });
+    
+    if (unresolvedLabel) {
+      showToast(`Fill in the placeholders for "${unresolvedLabel}" first`, 'warn', 4000);
+      return;
+    }
+    if (plan.length === 0) {
+      showToast('No fields selected', 'warn');
+      return;
+    }
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'APPLY_PLAN',
+      profile: previewPlan.profile,
+      plan,
+      typeKeystrokes: await isTypingSite(await getCurrentDomain())
+    });
+    
+    if (response && response.status === 'applied') {
+      const { appliedCount, failedFields } = response;
+      if (failedFields.length > 0) {
+        showToast(`✅ Filled ${appliedCount} | ${failedFields.length} could not be filled`, 'warn', 4000);
+      } else {
+        showToast(`✅ Filled ${appliedCount} field(s)!`, 'success');
+      }
+      document.getElementById('planSection').style.display = 'none';
+      previewPlan = null;
+      displayLearnedMappings();
+      displayUndoJournal();
+    } else {
+      showToast('Failed to apply plan', 'error');
+    }
+  } catch (error) {
+    console.error('[Popup] Error applying plan:', error);
+    showToast(error.message, 'error');
+  } finally {
+    applyPlanBtn.disabled = false;
+    applyPlanBtn.textContent = 'Apply Plan';
+  }
+};
+
 /**
  * Display scan results in popup
  * @param {Object} response - Response from content script
@@ -614,25 +1079,133 @@ const displayResults = (response) => {
 };
 
 /**
- * Display learned mappings for the current site
+ * Show the merged summary of a multi-section autofill session
+ * @param {Object} session - Session summary from the content script
+ */
+const displaySessionSummary = (session) => {
+  resultsSection.style.display = 'block';
+  resultsContent.innerHTML = `
+    <div class="result-header">
+      <p><strong>Autofill session:</strong> ${session.active ? 'watching for next section' : 'finished'}</p>
+      <p><strong>Sections:</strong> ${Number(session.sections) || 0}</p>
+      <p><strong>Filled:</strong> ${Number(session.autoFilledCount) || 0}
+        · <strong>Need review:</strong> ${session.pendingConfirmations.length}
+        · <strong>Skipped:</strong> ${session.skippedFields.length}
+        · <strong>Failed:</strong> ${(session.failedFields || []).length}</p>
+    </div>
+  `;
+};
+
+/**
+ * Restore the autofill session of the active tab after the popup was reopened
+ * (e.g. after clicking "Next" on a multi-section Google Form)
+ */
+const restoreAutofillSession = async () => {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+
+    // Throws when no content script is injected — nothing to restore then
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'GET_AUTOFILL_SESSION' });
+    const session = response?.session;
+    if (!session) return;
+
+    if (session.active || session.sections > 1) displaySessionSummary(session);
+    displayConfirmations(session.pendingConfirmations, session.profile);
+  } catch (error) {
+    // No session on this page
+  }
+};
+
+/**
+ * Show the fields changed by the last autofill, each with its own undo button
+ */
+const displayUndoJournal = async () => {
+  const undoSection = document.getElementById('undoSection');
+  const undoContent = document.getElementById('undoContent');
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'GET_FILL_JOURNAL' });
+    const fields = response?.fields || [];
+    
+    if (fields.length === 0) {
+      undoSection.style.display = 'none';
+      return;
+    }
+    
+    undoContent.innerHTML = fields.map(({ fieldId, label, derived }) => `
+      <div class="learned-item">
+        <span class="learned-label">${esc(label)}</span>
+        ${derived ? `<span class="section-badge" title="${DERIVED_TITLE}">derived</span>` : ''}
+        <button class="btn btn-ghost btn-xs btn-undo-field" data-field-id="${esc(fieldId)}" title="Restore this field">↩ Undo</button>
+      </div>
+    `).join('');
+    
+    undoContent.querySelectorAll('.btn-undo-field').forEach(btn => {
+      btn.addEventListener('click', () => handleUndo(btn.dataset.fieldId));
+    });
+    
+    undoSection.style.display = 'block';
+  } catch (error) {
+    // No content script on this page — nothing to undo
+    undoSection.style.display = 'none';
+  }
+};
+
+/**
+ * Undo the last autofill on the page, or a single field of it
+ * @param {string|null} fieldId - Field to restore; null restores the whole run
+ */
+const handleUndo = async (fieldId = null) => {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'UNDO_AUTOFILL', fieldId });
+    
+    if (response && response.status === 'undone') {
+      const { restoredCount, failedFields } = response;
+      if (failedFields.length > 0) {
+        showToast(`↩ Restored ${restoredCount} | ${failedFields.length} need a manual fix`, 'warn', 4000);
+      } else {
+        showToast(`↩ Restored ${restoredCount} field(s)`, 'success');
+      }
+    } else {
+      showToast('Undo failed', 'error');
+    }
+  } catch (error) {
+    console.error('[Popup] Error undoing autofill:', error);
+    showToast('Undo failed', 'error');
+  }
+  
+  displayUndoJournal();
+};
+
+/**
+ * Display the learned mappings that apply to the current page, most specific scope
+ * first; a domain mapping shadowed by a form/path one is not listed
  */
 const displayLearnedMappings = async () => {
-  const domain = await getCurrentDomain();
-  const mappings = await getSiteMappings();
-  const siteMappings = mappings[domain] || {};
+  const scope = await getCurrentScope();
+  const { form, path, domain } = getScopedMappings(await getSiteMappings(), scope);
   
   const learnedSection = document.getElementById('learnedSection');
   const learnedContent = document.getElementById('learnedContent');
   
-  const entries = Object.entries(siteMappings);
+  const specific = Object.entries({ ...path, ...form });
+  const entries = [
+    ...specific.map(([label, key]) => ({ label, key, scope: describeMappingScope(scope) })),
+    ...Object.entries(domain)
+      .filter(([label]) => !(label in form) && !(label in path))
+      .map(([label, key]) => ({ label, key, scope: `all of ${scope.domain}` })),
+  ];
   
   if (entries.length === 0) {
     learnedSection.style.display = 'none';
     return;
   }
   
-  learnedContent.innerHTML = entries.map(([label, key]) => `
-    <div class="learned-item">
+  learnedContent.innerHTML = entries.map(({ label, key, scope: scopeName }) => `
+    <div class="learned-item" title="Applies to ${esc(scopeName)}">
       <span class="learned-label">${esc(label)}</span>
       <span class="learned-arrow">→</span>
       <span class="learned-key">${esc(key)}</span>
@@ -646,15 +1219,18 @@ const displayLearnedMappings = async () => {
  * Handle Clear Memory Button Click
  */
 const handleClearMemory = async () => {
-  const domain = await getCurrentDomain();
+  const scope = await getCurrentScope();
   
-  if (!domain) {
+  if (!scope) {
     showToast('Cannot determine domain', 'error');
     return;
   }
   
-  if (confirm(`Clear learned mappings for ${domain}?`)) {
-    await clearSiteMemory(domain);
+  const scopeName = scope.form || scope.path
+    ? `${describeMappingScope(scope)} and all of ${scope.domain}`
+    : scope.domain;
+  if (confirm(`Clear learned mappings for ${scopeName}?`)) {
+    await clearSiteMemory(scope);
     displayLearnedMappings();
     showToast('Memory cleared', 'success');
   }
@@ -689,12 +1265,28 @@ const init = () => {
   // Display learned mappings for current site
   displayLearnedMappings();
   
+  // Pick up an autofill session still running on the page
+  restoreAutofillSession();
+  displayUndoJournal();
+  displayTypingSetting();
+  displayCaptureSetting();
+  
   // Add event listeners
   scanBtn.addEventListener('click', handleScanPage);
   autofillBtn.addEventListener('click', handleAutofillPage);
+  document.getElementById('previewBtn').addEventListener('click', handlePreviewPage);
+  document.getElementById('applyPlanBtn').addEventListener('click', handleApplyPlan);
+  document.getElementById('typeKeysToggle').addEventListener('change', handleTypingToggle);
+  document.getElementById('captureAnswersToggle').addEventListener('change', handleCaptureToggle);
   saveTokenBtn.addEventListener('click', handleSaveToken);
   applyConfirmationsBtn.addEventListener('click', handleApplyConfirmations);
+  document.getElementById('undoAllBtn').addEventListener('click', () => handleUndo());
+  personaSelect.addEventListener('change', handlePersonaChange);
   document.getElementById('clearMemoryBtn').addEventListener('click', handleClearMemory);
+  document.getElementById('manageMappingsLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
   document.getElementById('logoutBtn').addEventListener('click', handleLogout);
   document.getElementById('showAllFieldsBtn').addEventListener('click', highlightAllPendingFields);
   document.getElementById('pendingBanner').addEventListener('click', scrollToConfirmations);
@@ -0,0 +1,54 @@
+/**
+ * Answer capture — what a user types is offered to the answer bank, except in
+ * fields asking for credentials, bank details, government IDs or birth dates.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/contentScript');
+const { loadBackgroundScript } = require('./helpers/backgroundScript');
+
+const typeAndLeave = (page, label, text) => {
+  const { document, window } = page;
+  const id = `f${document.querySelectorAll('input, textarea').length}`;
+  document.body.insertAdjacentHTML('beforeend', `<div><label for="${id}">${label}</label><textarea id="${id}"></textarea></div>`);
+  const field = document.getElementById(id);
+  field.value = text;
+  field.dispatchEvent(new window.FocusEvent('focusout', { bubbles: true }));
+};
+
+const captured = (page) =>
+  page.sentMessages.filter((m) => m.type === 'CAPTURE_ANSWER').map((m) => m.question);
+
+test('sensitive questions are never captured', () => {
+  const page = loadContentScript('', { storage: { captureAnswers: true } });
+  [
+    'Aadhaar Number', 'Aadhar Card No.', 'PAN', 'PAN Card Number', 'Bank Account Number',
+    'Bank Name', 'IFSC Code', 'UPI ID', 'Social Security Number (SSN)', 'Passport Number',
+    'Voter ID', 'National ID number', 'Enter your date of birth to verify', 'Mother\'s maiden name',
+    'OTP', 'Card number',
+  ].forEach((label) => typeAndLeave(page, label, 'ABCDE1234F'));
+
+  assert.deepEqual(captured(page), []);
+});
+
+test('ordinary free-text questions are still captured', () => {
+  const page = loadContentScript('', { storage: { captureAnswers: true } });
+  typeAndLeave(page, 'Why do you want to join us?', 'I enjoy building reliable systems.');
+  typeAndLeave(page, 'Are you open to Pan-India relocation?', 'Yes, anywhere.');
+
+  assert.deepEqual(captured(page), ['why do you want to join us?', 'are you open to pan-india relocation?']);
+});
+
+test('captured questions are cut to the length the answer bank accepts', async () => {
+  const { requests, send } = loadBackgroundScript({
+    storage: { jwtToken: 'jwt', captureAnswers: true },
+    respond: () => ({ status: 201, body: { success: true } }),
+  });
+
+  await send({ type: 'CAPTURE_ANSWER', question: `describe ${'a long scenario '.repeat(40)}`, answer: 'Done.' });
+  await new Promise((resolve) => setTimeout(resolve, 3_200)); // ANSWER_UPLOAD_DELAY_MS
+
+  const upload = requests.find((r) => r.url.endsWith('/api/profile/answers'));
+  assert.equal(JSON.parse(upload.body).question.length, 300);
+});
@@ -0,0 +1,57 @@
+/**
+ * Keyword scorer regression corpus — form questions as they appear on real
+ * placement forms, typos included. In fixtures/labels.json each label has:
+ *  - expected: the field key it should match, or null when no profile field applies
+ *  - baseline: what the scorer matched before typo/variant tolerance was added
+ * A label counts as matched at MEDIUM_CONFIDENCE or above, the level at which
+ * the popup offers it for confirmation.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, readFixture } = require('./helpers/contentScript');
+
+const corpus = JSON.parse(readFixture('labels.json'));
+const { api } = loadContentScript('', { expose: ['findBestMatchWithScore', 'MEDIUM_CONFIDENCE'] });
+
+// getFieldLabel lowercases question text before it reaches the scorer
+const match = (label) => {
+  const { bestMatch, score } = api.findBestMatchWithScore(label.toLowerCase());
+  return bestMatch && score >= api.MEDIUM_CONFIDENCE ? bestMatch : null;
+};
+
+const results = corpus.map((entry) => ({ ...entry, actual: match(entry.label) }));
+const describe = ({ label, expected, baseline, actual }) =>
+  `"${label}": expected ${expected}, baseline ${baseline}, got ${actual}`;
+
+test('no label the baseline matched correctly is lost', () => {
+  const lost = results.filter((r) => r.baseline === r.expected && r.actual !== r.expected);
+  assert.deepEqual(lost.map(describe), []);
+});
+
+test('no label picks up a wrong match the baseline did not have', () => {
+  const wrong = results.filter((r) => r.actual !== r.expected && r.actual !== r.baseline);
+  assert.deepEqual(wrong.map(describe), []);
+});
+
+test('questions without a profile field stay unmatched', () => {
+  const falsePositives = results.filter((r) => r.expected === null && r.actual !== null);
+  // Labels the baseline already got wrong are tracked by the tests above
+  assert.deepEqual(falsePositives.filter((r) => r.baseline === null).map(describe), []);
+});
+
+test('typo and variant tolerance improves accuracy over the baseline', () => {
+  const correct = results.filter((r) => r.actual === r.expected).length;
+  const baselineCorrect = results.filter((r) => r.baseline === r.expected).length;
+  assert.ok(
+    correct > baselineCorrect,
+    `${correct}/${results.length} correct, baseline ${baselineCorrect}/${results.length}`,
+  );
+});
+
+test('short tokens only match through swapped letters', () => {
+  assert.equal(match('Current stage'), null);
+  assert.equal(match('Stage of application'), null);
+  assert.equal(match('Emial ID'), 'email');
+  assert.equal(match('Gendre'), 'gender');
+});
@@ -0,0 +1,67 @@
+/**
+ * Google Forms sections — one AUTOFILL_PAGE session carries pending confirmations
+ * across sections, then GET_AUTOFILL_SESSION reports the merged summary.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/contentScript');
+
+const FORM_URL = 'https://docs.google.com/forms/d/e/AbC123/viewform';
+
+// One-word titles score below HIGH_CONFIDENCE, so they wait for confirmation
+const radioQuestion = (title) => `
+  <div role="listitem">
+    <div role="heading">${title}</div>
+    <div role="radiogroup">
+      <div role="radio" aria-label="Female" aria-checked="false"></div>
+      <div role="radio" aria-label="Male" aria-checked="false"></div>
+    </div>
+  </div>`;
+
+const section = (id, title) => `<div id="${id}">${radioQuestion(title)}</div>`;
+
+// Past the section watcher's settle delay and the next section's run
+const waitForSection = () => new Promise((resolve) => setTimeout(resolve, 1500));
+
+const startSession = async (t, html) => {
+  const page = loadContentScript(html, { url: FORM_URL });
+  // Closing the window clears the session's section watcher and idle timers
+  t.after(() => page.window.close());
+  const result = await page.send({
+    action: 'AUTOFILL_PAGE',
+    profile: { personal: { gender: 'Female' } },
+    domain: 'docs.google.com',
+    siteMappings: {},
+    typeKeystrokes: false,
+  });
+  assert.equal(result.pendingConfirmations.length, 1);
+  return page;
+};
+
+const pendingSections = async (send) => {
+  const { session } = await send({ action: 'GET_AUTOFILL_SESSION' });
+  // Spread into this realm's Array so deepEqual compares contents only
+  return [...session.pendingConfirmations].map((pending) => `${pending.labelText} @${pending.section}`);
+};
+
+test('sections asking the same question keep their own pending confirmations', async (t) => {
+  const { document, send } = await startSession(t, section('one', 'Gender'));
+
+  document.body.insertAdjacentHTML('beforeend', section('two', 'Gender'));
+  await waitForSection();
+
+  assert.deepEqual(await pendingSections(send), ['gender @1', 'gender @2']);
+});
+
+test('a revisited section replaces its earlier pending confirmation', async (t) => {
+  const { document, send } = await startSession(t, section('one', 'Gender'));
+
+  document.body.insertAdjacentHTML('beforeend', section('two', 'Gender'));
+  await waitForSection();
+  // Going back re-renders the first section with new elements
+  document.getElementById('one').outerHTML = section('one', 'Gender');
+  await waitForSection();
+
+  assert.deepEqual(await pendingSections(send), ['gender @2', 'gender @3']);
+});
@@ -0,0 +1,62 @@
+/**
+ * Run background.js (the service worker) in a vm context with an in-memory
+ * chrome.storage.local and a fake fetch. Tests talk to it through the runtime
+ * message listener, as the popup does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+const EXTENSION_ID = 'fillr-test';
+
+/**
+ * @param {Object} options
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {Function} options.respond - (url, init) → { status, body } for each fetch
+ * @returns {Object} { storage, requests, send }
+ */
+const loadBackgroundScript = ({ storage = {}, respond }) => {
+  const requests = [];
+  let listener = null;
+  const pick = (keys) => Object.fromEntries(keys.filter((k) => k in storage).map((k) => [k, storage[k]]));
+
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    AbortController,
+    TextEncoder,
+    chrome: {
+      runtime: {
+        id: EXTENSION_ID,
+        onMessage: { addListener: (fn) => { listener = fn; } },
+        onInstalled: { addListener: () => {} },
+        onStartup: { addListener: () => {} },
+      },
+      storage: {
+        local: {
+          get: (keys, callback) => callback(pick(keys)),
+          set: (values, callback) => { Object.assign(storage, values); callback?.(); },
+          remove: (keys, callback) => { keys.forEach((k) => delete storage[k]); callback?.(); },
+        },
+      },
+    },
+    fetch: async (url, init = {}) => {
+      requests.push({ url, method: init.method || 'GET', body: init.body });
+      const { status = 200, body = {} } = await respond(url, init);
+      return { status, ok: status >= 200 && status < 300, json: async () => body };
+    },
+  });
+  context.importScripts = (...files) => files.forEach((file) =>
+    vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context));
+
+  vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, 'background.js'), 'utf8'), context);
+
+  const send = (request) =>
+    new Promise((resolve) => { listener(request, { id: EXTENSION_ID }, resolve); });
+  return { storage, requests, send, context };
+};
+
+module.exports = { loadBackgroundScript };
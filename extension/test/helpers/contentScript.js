@@ -0,0 +1,64 @@
+/**
+ * Run content.js (with mappings.js, as the manifest injects them) inside jsdom.
+ * Tests talk to it the way the popup does — through the runtime message listener —
+ * and may read top-level functions listed in `expose`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..');
+const SCRIPTS = ['mappings.js', 'content.js'].map((file) =>
+  fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'));
+
+/**
+ * @param {string} html - Page markup
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL (decides which form adapters are active)
+ * @param {string[]} [options.expose] - content.js top-level names to return in `api`
+ * @param {Object} [options.storage] - chrome.storage.local contents (e.g. { captureAnswers: true })
+ * @returns {Object} { window, document, api, send, sentMessages }
+ */
+const loadContentScript = (html, { url = 'https://example.com/', expose = [], storage = {} } = {}) => {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  let listener = null;
+  const sentMessages = [];
+
+  window.chrome = {
+    runtime: {
+      sendMessage: (message) => { sentMessages.push(message); },
+      onMessage: { addListener: (fn) => { listener = fn; } },
+    },
+    storage: {
+      local: {
+        get: (keys, callback) =>
+          callback(Object.fromEntries(keys.filter((k) => k in storage).map((k) => [k, storage[k]]))),
+      },
+      onChanged: { addListener: () => {} },
+    },
+  };
+  // jsdom has no layout: innerText falls back to textContent, scrolling is a no-op
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    get() { return this.textContent; },
+    set(value) { this.textContent = value; },
+    configurable: true,
+  });
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+
+  window.eval(`${SCRIPTS.join('\n;\n')}\n;window.__fillrTest = { ${expose.join(', ')} };`);
+
+  const send = (request) => new Promise((resolve) => { listener(request, {}, resolve); });
+  return { window, document: window.document, api: window.__fillrTest, send, sentMessages };
+};
+
+/**
+ * Read a fixture file under test/fixtures
+ * @param {...string} parts - Path below test/fixtures
+ * @returns {string} File contents
+ */
+const readFixture = (...parts) =>
+  fs.readFileSync(path.join(__dirname, '..', 'fixtures', ...parts), 'utf8');
+
+module.exports = { loadContentScript, readFixture };
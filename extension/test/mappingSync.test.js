@@ -0,0 +1,97 @@
+/**
+ * Learned mapping sync — uploads stay within the server's body and field limits,
+ * and batches the server refuses are not sent again until they change.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackgroundScript } = require('./helpers/backgroundScript');
+
+const SERVER_BODY_LIMIT = 20 * 1024;
+const HOST = 'docs.google.com';
+
+// Stored form-scope mappings for one Google Form, label → key
+const storageWith = (mappings, updatedAt = 1000) => {
+  const formId = 'AbC123';
+  return {
+    jwtToken: 'jwt',
+    mappingsVersion: 2,
+    siteMappings: { [HOST]: { forms: { [formId]: mappings }, paths: {}, domain: {} } },
+    mappingMeta: Object.fromEntries(Object.keys(mappings).map((label) =>
+      [[HOST, 'form', formId, label].join('\n'), { updatedAt }])),
+  };
+};
+
+const imports = (requests) => requests.filter((r) => r.url.endsWith('/api/mappings/import'));
+
+const sync = (send) => send({ type: 'SYNC_MAPPINGS', immediate: true });
+
+test('uploads are split so each request body stays under the server limit', async () => {
+  const mappings = {};
+  for (let i = 0; i < 300; i++) {
+    mappings[`${'please enter your full permanent residential address '.repeat(3)}${i}`] = 'permanent_address';
+  }
+  const { requests, send } = loadBackgroundScript({
+    storage: storageWith(mappings),
+    respond: (url) => ({ body: url.endsWith('/api/mappings') ? { mappings: [] } : { success: true } }),
+  });
+
+  const result = await sync(send);
+
+  assert.equal(result.success, true);
+  assert.equal(result.uploaded, 300);
+  assert.ok(imports(requests).length > 3);
+  imports(requests).forEach(({ body }) => {
+    assert.ok(Buffer.byteLength(body) < SERVER_BODY_LIMIT, `${Buffer.byteLength(body)} bytes`);
+    assert.ok(JSON.parse(body).mappings.length <= 100);
+  });
+});
+
+test('entries the import schema would reject are not uploaded', async () => {
+  const { requests, send } = loadBackgroundScript({
+    storage: storageWith({ 'roll no': 'uid', ['x'.repeat(201)]: 'name' }),
+    respond: (url) => ({ body: url.endsWith('/api/mappings') ? { mappings: [] } : { success: true } }),
+  });
+
+  const result = await sync(send);
+
+  assert.deepEqual([result.uploaded, result.skipped], [1, 1]);
+  assert.deepEqual(JSON.parse(imports(requests)[0].body).mappings.map((m) => m.label), ['roll no']);
+});
+
+test('a batch refused with a 4xx is not retried until it changes', async () => {
+  const storage = storageWith({ 'roll no': 'uid' });
+  const { requests, send } = loadBackgroundScript({
+    storage,
+    respond: (url) => (url.endsWith('/api/mappings')
+      ? { body: { mappings: [] } }
+      : { status: 400, body: { success: false, message: '"key" is not allowed' } }),
+  });
+
+  const { success, uploaded, skipped } = await sync(send);
+  assert.deepEqual([success, uploaded, skipped], [true, 0, 1]);
+  await sync(send);
+  assert.equal(imports(requests).length, 1);
+
+  // Editing the mapping gives it a new timestamp, so it is tried again
+  Object.values(storage.mappingMeta)[0].updatedAt = 2000;
+  await sync(send);
+  assert.equal(imports(requests).length, 2);
+});
+
+test('server errors and rate limits are retried on the next sync', async () => {
+  let status = 503;
+  const { requests, send } = loadBackgroundScript({
+    storage: storageWith({ 'roll no': 'uid' }),
+    respond: (url) => (url.endsWith('/api/mappings')
+      ? { body: { mappings: [] } }
+      : { status, body: { success: status === 200, message: 'Try again later.' } }),
+  });
+
+  assert.equal((await sync(send)).success, false);
+  status = 429;
+  assert.equal((await sync(send)).success, false);
+  status = 200;
+  assert.equal((await sync(send)).uploaded, 1);
+  assert.equal(imports(requests).length, 3);
+});
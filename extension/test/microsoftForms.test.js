@@ -0,0 +1,128 @@
+/**
+ * Microsoft Forms adapter — runs AUTOFILL_PAGE over the fixtures in
+ * test/fixtures/microsoft-forms and checks what ends up in the form.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, readFixture } = require('./helpers/contentScript');
+
+const FORM_URL = 'https://forms.office.com/Pages/ResponsePage.aspx?id=AbC123';
+
+const profile = {
+  personal: {
+    name: 'Asha Verma',
+    email: 'asha.verma@example.com',
+    gender: 'Female',
+    dob: '2003-07-09',
+    permanent_address: '12 Lake Road, Pune',
+  },
+  academics: { active_backlog: 'No' },
+  education: { stream: 'CSE' },
+};
+
+/**
+ * Load a fixture and give its widgets the behaviour Forms' script provides:
+ * radios flip aria-checked, drop-downs render their options while open
+ * @param {string} name - Fixture file name
+ * @returns {Object} loadContentScript result
+ */
+const loadForm = (name) => {
+  const page = loadContentScript(readFixture('microsoft-forms', name), { url: FORM_URL });
+  const { document } = page;
+
+  document.querySelectorAll('[role="radiogroup"]').forEach((group) => {
+    group.querySelectorAll('[role="radio"]').forEach((radio) => {
+      radio.addEventListener('click', () => {
+        group.querySelectorAll('[role="radio"]').forEach((r) =>
+          r.setAttribute('aria-checked', String(r === radio)));
+      });
+    });
+  });
+
+  document.querySelectorAll('[role="combobox"]').forEach((trigger) => {
+    const close = () => {
+      document.querySelector('[role="listbox"]')?.remove();
+      trigger.setAttribute('aria-expanded', 'false');
+    };
+    trigger.addEventListener('click', () => {
+      if (document.querySelector('[role="listbox"]')) return close();
+      const listbox = document.createElement('div');
+      listbox.setAttribute('role', 'listbox');
+      trigger.dataset.options.split('|').forEach((text) => {
+        const option = document.createElement('div');
+        option.setAttribute('role', 'option');
+        option.innerHTML = `<span class="text-format-content">${text}</span>`;
+        option.addEventListener('click', () => {
+          trigger.querySelector('span').textContent = text;
+          close();
+        });
+        listbox.appendChild(option);
+      });
+      document.body.appendChild(listbox);
+      trigger.setAttribute('aria-expanded', 'true');
+    });
+    trigger.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') close();
+    });
+  });
+
+  return page;
+};
+
+const autofill = (send) =>
+  send({
+    action: 'AUTOFILL_PAGE',
+    profile,
+    domain: 'forms.office.com',
+    siteMappings: {},
+    typeKeystrokes: false,
+  });
+
+const questionInputs = (document) =>
+  Array.from(document.querySelectorAll('[data-automation-id="questionItem"]'))
+    .map((item) => item.querySelector('input, textarea'));
+
+test('text questions are matched by their question titles', async () => {
+  const { document, send } = loadForm('text.html');
+  const result = await autofill(send);
+
+  assert.equal(result.status, 'completed');
+  const [name, email, address] = questionInputs(document);
+  assert.equal(name.value, 'Asha Verma');
+  assert.equal(email.value, 'asha.verma@example.com');
+  assert.match(address.value, /12 Lake Road/);
+});
+
+test('choice questions select the matching radio', async () => {
+  const { document, send } = loadForm('choice.html');
+  await autofill(send);
+
+  const checked = Array.from(document.querySelectorAll('[role="radio"][aria-checked="true"]'))
+    .map((radio) => radio.closest('[data-automation-id="choiceItem"]').textContent.trim());
+  assert.deepEqual(checked, ['Female', 'No']);
+});
+
+test('drop-down questions pick the option from the opened listbox', async () => {
+  const { document, send } = loadForm('dropdown.html');
+  await autofill(send);
+
+  const trigger = document.querySelector('[role="combobox"]');
+  assert.equal(trigger.textContent.trim(), 'Computer Science and Engineering');
+  assert.equal(document.querySelector('[role="listbox"]'), null);
+});
+
+test('date questions follow the M/d/yyyy placeholder', async () => {
+  const { document, send } = loadForm('date.html');
+  await autofill(send);
+
+  const [dob] = questionInputs(document);
+  assert.equal(dob.value, '07/09/2003');
+});
+
+test('the adapter stays off outside forms.office.com', () => {
+  const { api } = loadContentScript(readFixture('microsoft-forms', 'choice.html'), {
+    expose: ['microsoftFormsAdapter'],
+  });
+  assert.equal(api.microsoftFormsAdapter.isActive(), false);
+});
@@ -0,0 +1,59 @@
+/**
+ * Options page import — labels are normalized like popup-learned ones, and
+ * mappings the extension could never use are skipped and counted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+
+const loadOptionsPage = () => {
+  // Scripts are evaluated below, after chrome is stubbed
+  const html = read('options.html').replace(/<script\b[^>]*><\/script>/g, '');
+  const { window } = new JSDOM(html, { url: 'chrome-extension://fillr/options.html', runScripts: 'outside-only' });
+  window.chrome = {
+    runtime: { sendMessage: () => {} },
+    storage: {
+      local: { get: (keys, callback) => callback({}), set: (values, callback) => callback?.() },
+      onChanged: { addListener: () => {} },
+    },
+  };
+  window.eval(`${read('mappings.js')}\n;${read('options.js')}\n;window.__parse = parseMappingFile;`);
+  return window.__parse;
+};
+
+// Results are copied out of the page's realm so deepEqual compares plain values
+const parsePage = loadOptionsPage();
+const parseMappingFile = (text) => JSON.parse(JSON.stringify(parsePage(text)));
+const exportOf = (siteMappings) => JSON.stringify({ siteMappings });
+
+test('imported labels are lowercased and trimmed like popup-learned labels', () => {
+  const { entries, skipped } = parseMappingFile(exportOf({
+    'example.com': { domain: { '  Roll No ': 'uid', 'LinkedIn Profile URL': 'linkedin' } },
+  }));
+
+  assert.equal(skipped, 0);
+  assert.deepEqual(entries.map((e) => [e.label, e.key]), [['roll no', 'uid'], ['linkedin profile url', 'linkedin']]);
+});
+
+test('unknown keys and over-long labels are skipped and counted', () => {
+  const { entries, skipped } = parseMappingFile(exportOf({
+    'example.com': {
+      domain: { 'github link': 'github', 'hostel block': 'custom_hostel_block', 'mother tongue': 'mother_tongue' },
+      forms: { AbC123: { ['x'.repeat(201)]: 'name', 'why us': 'answer_1234' } },
+    },
+  }));
+
+  assert.deepEqual(entries.map((e) => e.key), ['github', 'custom_hostel_block']);
+  assert.equal(skipped, 3);
+});
+
+test('files that are not a mappings export are refused', () => {
+  assert.throws(() => parsePage('not json'), /Not a JSON file/);
+  assert.throws(() => parsePage(JSON.stringify({ 'bad host!': {} })), /not a Fillr mappings export/);
+});
@@ -0,0 +1,27 @@
+/**
+ * Profile phones are stored in E.164 by the server (server/src/utils/phone.js);
+ * content.js re-derives it for profiles saved before that. Both are pinned to
+ * the same samples, so a number fills the same whichever side normalized it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/contentScript');
+const { PHONE_COUNTRIES } = require('../../server/src/utils/phone');
+
+const SAMPLES = path.join(__dirname, '..', '..', 'server', 'test', 'fixtures', 'phones.json');
+const samples = JSON.parse(fs.readFileSync(SAMPLES, 'utf8'));
+
+const { api } = loadContentScript('', { expose: ['toE164', 'PHONE_COUNTRIES'] });
+
+test('toE164 matches the server normalization for every sample phone', () => {
+  samples.forEach(({ phone, country, e164 }) => {
+    assert.equal(api.toE164(phone, country ?? undefined), e164, JSON.stringify({ phone, country }));
+  });
+});
+
+test('the calling code table matches the server one', () => {
+  assert.deepEqual(JSON.parse(JSON.stringify(api.PHONE_COUNTRIES)), PHONE_COUNTRIES);
+});
@@ -0,0 +1,21 @@
+/**
+ * The answer bank keys saved answers by normalized question on the server
+ * (server/src/utils/question.js). normalizeOption() must give the same text,
+ * or saved answers stop matching the questions they were captured from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript } = require('./helpers/contentScript');
+
+const SAMPLES = path.join(__dirname, '..', '..', 'server', 'test', 'fixtures', 'questions.json');
+const samples = JSON.parse(fs.readFileSync(SAMPLES, 'utf8'));
+
+test('normalizeOption matches the server normalization for every sample question', () => {
+  const { api } = loadContentScript('', { expose: ['normalizeOption'] });
+  samples.forEach(({ question, normalized }) => {
+    assert.equal(api.normalizeOption(question), normalized, JSON.stringify(question));
+  });
+});
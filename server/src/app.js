@@ -20,6 +20,7 @@ const authRoutes    = require('./routes/authRoutes');
 const profileRoutes = require('./routes/profileRoutes');
 const userRoutes    = require('./routes/userRoutes');
 const keyRoutes     = require('./routes/keyRoutes');
+const mappingRoutes = require('./routes/mappingRoutes');
 
 const isProd = process.env.NODE_ENV === 'production';
 const app    = express();
@@ -124,6 +125,7 @@ app.use('/api/auth',    authRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/user',    userRoutes);
 app.use('/api/keys',    keyRoutes);
+app.use('/api/mappings', mappingRoutes);
 
 // Health check — includes DB readiness
 const mongoose = require('mongoose');
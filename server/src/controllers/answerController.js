@@ -0,0 +1,157 @@
+/**
+ * answerController.js — Saved free-text answers (answer bank) per account
+ *
+ * Answers to questions no profile field covers ("Why do you want to join?",
+ * "Describe a project"). The extension captures them from forms (opt-in) and
+ * suggests them on later forms with a similar question; the dashboard curates them.
+ *
+ *  - List:   GET    /api/profile/answers
+ *  - Save:   POST   /api/profile/answers             (same question → answer replaced)
+ *  - Update: PUT    /api/profile/answers/:answerId
+ *  - Delete: DELETE /api/profile/answers/:answerId
+ *
+ * Protects against:
+ *  - Mass assignment:  Joi schemas with stripUnknown — only question/answer survive.
+ *  - Document bloat:   MAX_ANSWERS cap per user; answer length capped.
+ *  - NoSQL injection:  answerId validated as UUIDv4; mongoSanitize upstream.
+ *  - Internal error leakage: All errors forwarded to centralized handler via next().
+ */
+
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { normalizeQuestion } = require('../utils/question');
+
+const MAX_ANSWERS = 100;
+
+// ── Input schemas ─────────────────────────────────────────────
+const saveSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(300).required(),
+  answer:   Joi.string().trim().min(1).max(2000).required(),
+});
+
+const updateSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(300),
+  answer:   Joi.string().trim().min(1).max(2000),
+}).min(1);
+
+const answerIdSchema = Joi.string().uuid({ version: 'uuidv4' }).required();
+
+// ── Helpers ───────────────────────────────────────────────────
+const labelTaken = (user, label, exceptId = null) =>
+  user.answers.some((a) => a.answerId !== exceptId && a.label === label);
+
+// ── GET /api/profile/answers ──────────────────────────────────
+exports.listAnswers = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('answers').lean();
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    return res.json({ success: true, answers: user.answers || [] });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── POST /api/profile/answers ─────────────────────────────────
+// Saving an answer to a question already in the bank replaces that answer,
+// so re-capturing an edited answer never creates a duplicate.
+exports.saveAnswer = async (req, res, next) => {
+  try {
+    const { error, value } = saveSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const label = normalizeQuestion(value.question);
+    if (!label) {
+      return res.status(400).json({ success: false, message: 'Question must contain letters or numbers.' });
+    }
+
+    const user = await User.findById(req.user._id).select('answers');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const existing = user.answers.find((a) => a.label === label);
+    if (existing) {
+      existing.question = value.question;
+      existing.answer = value.answer;
+    } else {
+      if (user.answers.length >= MAX_ANSWERS) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum ${MAX_ANSWERS} saved answers allowed. Delete an existing answer first.`,
+        });
+      }
+      user.answers.push({ answerId: uuidv4(), question: value.question, label, answer: value.answer });
+    }
+
+    const saved = await user.save();
+
+    return res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Answer updated.' : 'Answer saved.',
+      answers: saved.answers,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── PUT /api/profile/answers/:answerId ────────────────────────
+exports.updateAnswer = async (req, res, next) => {
+  try {
+    const { error: idError, value: answerId } = answerIdSchema.validate(req.params.answerId);
+    if (idError) return res.status(400).json({ success: false, message: 'Invalid answer id.' });
+
+    const { error, value } = updateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user._id).select('answers');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const entry = user.answers.find((a) => a.answerId === answerId);
+    if (!entry) return res.status(404).json({ success: false, message: 'Answer not found.' });
+
+    if (value.question !== undefined) {
+      const label = normalizeQuestion(value.question);
+      if (!label) {
+        return res.status(400).json({ success: false, message: 'Question must contain letters or numbers.' });
+      }
+      if (labelTaken(user, label, answerId)) {
+        return res.status(409).json({ success: false, message: 'You already have an answer for this question.' });
+      }
+      entry.question = value.question;
+      entry.label = label;
+    }
+    if (value.answer !== undefined) entry.answer = value.answer;
+
+    const saved = await user.save();
+
+    return res.json({ success: true, message: 'Answer updated.', answers: saved.answers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── DELETE /api/profile/answers/:answerId ─────────────────────
+exports.deleteAnswer = async (req, res, next) => {
+  try {
+    const { error: idError, value: answerId } = answerIdSchema.validate(req.params.answerId);
+    if (idError) return res.status(400).json({ success: false, message: 'Invalid answer id.' });
+
+    const user = await User.findById(req.user._id).select('answers');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const entry = user.answers.find((a) => a.answerId === answerId);
+    if (!entry) return res.status(404).json({ success: false, message: 'Answer not found.' });
+
+    user.answers = user.answers.filter((a) => a.answerId !== answerId);
+    const saved = await user.save();
+
+    return res.json({ success: true, message: 'Answer deleted.', answers: saved.answers });
+  } catch (err) {
+    next(err);
+  }
+};
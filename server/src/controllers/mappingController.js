@@ -0,0 +1,210 @@
+/**
+ * mappingController.js — Learned site mappings synced across devices
+ *
+ * The extension learns label → field mappings per form, page path and domain
+ * (extension/mappings.js). These endpoints keep a copy per account so the
+ * corrections follow the student to another browser:
+ *  - List:   GET    /api/mappings          (?since=<ms> for changes only)
+ *  - Upsert: PUT    /api/mappings          (one mapping)
+ *  - Delete: DELETE /api/mappings          (one mapping → tombstone)
+ *  - Import: POST   /api/mappings/import   (batch of mappings and tombstones)
+ *
+ * Every write carries the device's updatedAt and is applied last-writer-wins:
+ * a write older than the stored one is ignored, so replaying an old device's
+ * state never undoes a newer edit.
+ *
+ * Protects against:
+ *  - Mass assignment:  Joi schemas with stripUnknown — only known fields survive.
+ *  - Collection bloat: MAX_MAPPINGS_PER_USER live mappings; MAX_IMPORT_BATCH per request.
+ *  - NoSQL injection:  All fields validated as plain strings; mongoSanitize upstream.
+ *  - Internal error leakage: All errors forwarded to centralized handler via next().
+ */
+
+const Joi = require('joi');
+const SiteMapping = require('../models/SiteMapping');
+
+// ── Input schemas ─────────────────────────────────────────────
+const mappingFields = {
+  host:      Joi.string().trim().lowercase().hostname().max(253).required(),
+  scope:     Joi.string().valid('form', 'path', 'domain').required(),
+  // Form ID or path; empty for the domain scope
+  scopeId:   Joi.when('scope', {
+    is: 'domain',
+    then: Joi.string().valid('').default(''),
+    otherwise: Joi.string().trim().min(1).max(500).required(),
+  }),
+  label:     Joi.string().trim().min(1).max(200).required(),
+  updatedAt: Joi.date().timestamp('javascript').required(),
+};
+
+const upsertSchema = Joi.object({
+  ...mappingFields,
+  key: Joi.string().trim().min(1).max(100).required(),
+});
+
+const deleteSchema = Joi.object(mappingFields);
+
+const importSchema = Joi.object({
+  mappings: Joi.array().items(Joi.object({
+    ...mappingFields,
+    deleted: Joi.boolean().default(false),
+    key:     Joi.when('deleted', {
+      is: true,
+      then: Joi.string().allow('').max(100).default(''),
+      otherwise: Joi.string().trim().min(1).max(100).required(),
+    }),
+  })).max(SiteMapping.MAX_IMPORT_BATCH).required(),
+});
+
+const listSchema = Joi.object({
+  since: Joi.date().timestamp('javascript'),
+});
+
+// ── Helpers ───────────────────────────────────────────────────
+const identityOf = (userId, m) => ({
+  userId,
+  host: m.host,
+  scope: m.scope,
+  scopeId: m.scopeId,
+  label: m.label,
+});
+
+const toClient = (doc) => ({
+  host:      doc.host,
+  scope:     doc.scope,
+  scopeId:   doc.scopeId,
+  label:     doc.label,
+  key:       doc.key,
+  deleted:   doc.deleted,
+  updatedAt: new Date(doc.updatedAt).getTime(),
+});
+
+/**
+ * Apply validated writes last-writer-wins.
+ * Writes older than (or as old as) the stored mapping are skipped.
+ * @param {ObjectId} userId
+ * @param {Array<Object>} writes - { host, scope, scopeId, label, key, deleted, updatedAt }
+ * @returns {Promise<Object>} { applied, overLimit } — nothing is written when overLimit
+ */
+const applyWrites = async (userId, writes) => {
+  if (writes.length === 0) return { applied: 0, overLimit: false };
+
+  // Later entries for the same mapping in one batch follow the same rule
+  const latest = new Map();
+  writes.forEach((w) => {
+    const id = [w.host, w.scope, w.scopeId, w.label].join('\n');
+    const seen = latest.get(id);
+    if (!seen || seen.updatedAt < w.updatedAt) latest.set(id, w);
+  });
+  const unique = [...latest.values()];
+
+  const existing = await SiteMapping.find({ $or: unique.map((w) => identityOf(userId, w)) }).lean();
+  const stored = new Map(existing.map((doc) => [[doc.host, doc.scope, doc.scopeId, doc.label].join('\n'), doc]));
+
+  const ops = [];
+  let added = 0;
+  unique.forEach((w) => {
+    const doc = stored.get([w.host, w.scope, w.scopeId, w.label].join('\n'));
+    const update = { key: w.deleted ? '' : w.key, deleted: w.deleted, updatedAt: w.updatedAt };
+    if (!doc) {
+      if (!w.deleted) added += 1;
+      ops.push({
+        updateOne: {
+          filter: identityOf(userId, w),
+          update: { $setOnInsert: update },
+          upsert: true,
+        },
+      });
+    } else if (new Date(doc.updatedAt) < w.updatedAt) {
+      if (doc.deleted && !w.deleted) added += 1;
+      ops.push({
+        updateOne: {
+          filter: { _id: doc._id, updatedAt: doc.updatedAt },
+          update: { $set: update },
+        },
+      });
+    }
+  });
+
+  if (added > 0) {
+    const liveCount = await SiteMapping.countDocuments({ userId, deleted: false });
+    if (liveCount + added > SiteMapping.MAX_MAPPINGS_PER_USER) return { applied: 0, overLimit: true };
+  }
+
+  if (ops.length > 0) await SiteMapping.bulkWrite(ops, { ordered: false });
+  return { applied: ops.length, overLimit: false };
+};
+
+const overLimitResponse = (res) => res.status(400).json({
+  success: false,
+  message: `Maximum ${SiteMapping.MAX_MAPPINGS_PER_USER} learned mappings allowed. Clear some sites first.`,
+});
+
+// ── GET /api/mappings ─────────────────────────────────────────
+// Tombstones are included so devices can drop mappings deleted elsewhere.
+exports.listMappings = async (req, res, next) => {
+  try {
+    const { error, value } = listSchema.validate(req.query, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const filter = { userId: req.user._id };
+    if (value.since) filter.updatedAt = { $gt: value.since };
+    const docs = await SiteMapping.find(filter).lean();
+
+    return res.json({ success: true, mappings: docs.map(toClient) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── PUT /api/mappings ─────────────────────────────────────────
+exports.upsertMapping = async (req, res, next) => {
+  try {
+    const { error, value } = upsertSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const { applied, overLimit } = await applyWrites(req.user._id, [{ ...value, deleted: false }]);
+    if (overLimit) return overLimitResponse(res);
+
+    return res.json({ success: true, applied: applied > 0 });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── DELETE /api/mappings ──────────────────────────────────────
+exports.deleteMapping = async (req, res, next) => {
+  try {
+    const { error, value } = deleteSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const { applied } = await applyWrites(req.user._id, [{ ...value, key: '', deleted: true }]);
+
+    return res.json({ success: true, applied: applied > 0 });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── POST /api/mappings/import ─────────────────────────────────
+exports.importMappings = async (req, res, next) => {
+  try {
+    const { error, value } = importSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const { applied, overLimit } = await applyWrites(req.user._id, value.mappings);
+    if (overLimit) return overLimitResponse(res);
+
+    return res.json({ success: true, applied });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,206 @@
+/**
+ * personaController.js — Named profiles (personas) per account
+ *
+ * A persona is a named overlay on the base profile for the fields that change
+ * between applications (resume, position, job location, contact email/phone).
+ * The extension picks a persona in the popup and receives the merged profile.
+ *
+ *  - List:    GET    /api/profile/personas
+ *  - Create:  POST   /api/profile/personas
+ *  - Update:  PUT    /api/profile/personas/:personaId
+ *  - Delete:  DELETE /api/profile/personas/:personaId
+ *  - Resolve: GET    /api/profile?persona=<personaId>  (see profileController)
+ *
+ * Protects against:
+ *  - Mass assignment:  Joi schemas with stripUnknown — only known override keys survive.
+ *  - Document bloat:   MAX_PERSONAS cap per user.
+ *  - NoSQL injection:  personaId validated as UUIDv4; mongoSanitize upstream.
+ *  - Internal error leakage: All errors forwarded to centralized handler via next().
+ */
+
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { toE164 } = require('../utils/phone');
+
+const MAX_PERSONAS = 10;
+
+// ── Input schemas ─────────────────────────────────────────────
+// Empty string clears an override (field falls back to the base profile).
+const overridesSchema = Joi.object({
+  personal: Joi.object({
+    email: Joi.string().trim().email().allow('').max(254),
+    phone: Joi.string().trim().allow('').max(20),
+  }),
+  links: Joi.object({
+    resume:    Joi.string().trim().allow('').max(500),
+    portfolio: Joi.string().trim().allow('').max(500),
+  }),
+  placement: Joi.object({
+    position_applying: Joi.string().trim().allow('').max(100),
+    job_location:      Joi.string().trim().allow('').max(200),
+  }),
+});
+
+const createSchema = Joi.object({
+  name:      Joi.string().trim().min(1).max(60).required(),
+  isDefault: Joi.boolean().default(false),
+  overrides: overridesSchema.default({}),
+});
+
+const updateSchema = Joi.object({
+  name:      Joi.string().trim().min(1).max(60),
+  isDefault: Joi.boolean(),
+  overrides: overridesSchema,
+}).min(1);
+
+const personaIdSchema = Joi.string().uuid({ version: 'uuidv4' }).required();
+
+// ── Helpers ───────────────────────────────────────────────────
+// Copy validated override values onto the persona sub-document.
+// Phone overrides are stored in E.164 like the base profile's phone.
+const applyOverrides = (persona, overrides = {}, phoneCountry) => {
+  Object.entries(overrides).forEach(([section, fields]) => {
+    Object.entries(fields || {}).forEach(([k, v]) => {
+      if (v === undefined) return;
+      persona.overrides[section][k] = section === 'personal' && k === 'phone' ? toE164(v, phoneCountry) : v;
+    });
+  });
+};
+
+// Only one persona may be the default — setting one clears the rest
+const setDefault = (user, personaId) => {
+  user.personas.forEach((p) => { p.isDefault = p.personaId === personaId; });
+};
+
+const nameTaken = (user, name, exceptId = null) =>
+  user.personas.some((p) => p.personaId !== exceptId && p.name.toLowerCase() === name.toLowerCase());
+
+/**
+ * Merge a persona's non-empty overrides onto the base profile.
+ * Used by GET /api/profile?persona=… so the extension receives one flat profile.
+ * @param {Object} profile - Base profile (plain object)
+ * @param {Object} persona - Persona (plain object)
+ * @returns {Object} New merged profile — inputs are not mutated
+ */
+const applyPersona = (profile, persona) => {
+  const merged = { ...profile };
+  Object.entries(persona.overrides || {}).forEach(([section, fields]) => {
+    merged[section] = { ...(profile[section] || {}) };
+    Object.entries(fields || {}).forEach(([k, v]) => {
+      if (v) merged[section][k] = v;
+    });
+  });
+  return merged;
+};
+exports.applyPersona = applyPersona;
+
+// ── GET /api/profile/personas ─────────────────────────────────
+exports.listPersonas = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('personas').lean();
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    return res.json({ success: true, personas: user.personas || [] });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── POST /api/profile/personas ────────────────────────────────
+exports.createPersona = async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user._id).select('personas profile.personal.phone_country');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    if (user.personas.length >= MAX_PERSONAS) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum ${MAX_PERSONAS} profiles allowed. Delete an existing profile first.`,
+      });
+    }
+    if (nameTaken(user, value.name)) {
+      return res.status(409).json({ success: false, message: 'A profile with this name already exists.' });
+    }
+
+    const personaId = uuidv4();
+    user.personas.push({ personaId, name: value.name, isDefault: false });
+    applyOverrides(user.personas[user.personas.length - 1], value.overrides, user.profile.personal.phone_country);
+    // First persona becomes the default so the popup always has a preselection
+    if (value.isDefault || user.personas.length === 1) setDefault(user, personaId);
+
+    const saved = await user.save();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Profile created.',
+      personas: saved.personas,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── PUT /api/profile/personas/:personaId ──────────────────────
+exports.updatePersona = async (req, res, next) => {
+  try {
+    const { error: idError, value: personaId } = personaIdSchema.validate(req.params.personaId);
+    if (idError) return res.status(400).json({ success: false, message: 'Invalid profile id.' });
+
+    const { error, value } = updateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user._id).select('personas profile.personal.phone_country');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const persona = user.personas.find((p) => p.personaId === personaId);
+    if (!persona) return res.status(404).json({ success: false, message: 'Profile not found.' });
+
+    if (value.name !== undefined) {
+      if (nameTaken(user, value.name, personaId)) {
+        return res.status(409).json({ success: false, message: 'A profile with this name already exists.' });
+      }
+      persona.name = value.name;
+    }
+    if (value.overrides) applyOverrides(persona, value.overrides, user.profile.personal.phone_country);
+    if (value.isDefault === true) setDefault(user, personaId);
+    if (value.isDefault === false) persona.isDefault = false;
+
+    const saved = await user.save();
+
+    return res.json({ success: true, message: 'Profile updated.', personas: saved.personas });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── DELETE /api/profile/personas/:personaId ───────────────────
+exports.deletePersona = async (req, res, next) => {
+  try {
+    const { error: idError, value: personaId } = personaIdSchema.validate(req.params.personaId);
+    if (idError) return res.status(400).json({ success: false, message: 'Invalid profile id.' });
+
+    const user = await User.findById(req.user._id).select('personas');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const persona = user.personas.find((p) => p.personaId === personaId);
+    if (!persona) return res.status(404).json({ success: false, message: 'Profile not found.' });
+
+    user.personas = user.personas.filter((p) => p.personaId !== personaId);
+    // Keep a default around while any persona remains
+    if (persona.isDefault && user.personas.length > 0) setDefault(user, user.personas[0].personaId);
+
+    const saved = await user.save();
+
+    return res.json({ success: true, message: 'Profile deleted.', personas: saved.personas });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -11,6 +11,9 @@
  */
 
 const User = require('../models/User');
+const SiteMapping = require('../models/SiteMapping');
+const { applyPersona } = require('./personaController');
+const { PHONE_COUNTRIES, DEFAULT_PHONE_COUNTRY, toE164 } = require('../utils/phone');
 
 // ── Field whitelisting helpers ────────────────────────────────
 // Only explicitly listed keys are ever written to the database.
@@ -18,11 +21,25 @@ const User = require('../models/User');
 
 const pickPersonal = (src = {}) => ({
   name:              src.name,
+  first_name:        src.first_name,
+  middle_name:       src.middle_name,
+  last_name:         src.last_name,
   phone:             src.phone,
+  phone_country:     src.phone_country,
   gender:            src.gender,
   dob:               src.dob,
   age:               src.age,
   permanent_address: src.permanent_address,
+  permanent_city:    src.permanent_city,
+  permanent_state:   src.permanent_state,
+  permanent_pincode: src.permanent_pincode,
+  permanent_country: src.permanent_country,
+  current_same_as_permanent: src.current_same_as_permanent,
+  current_address:   src.current_address,
+  current_city:      src.current_city,
+  current_state:     src.current_state,
+  current_pincode:   src.current_pincode,
+  current_country:   src.current_country,
 });
 
 const pickAcademics = (src = {}) => ({
@@ -32,11 +49,18 @@ const pickAcademics = (src = {}) => ({
   graduation_percentage: src.graduation_percentage,
   pg_percentage:         src.pg_percentage,
   cgpa:                  src.cgpa,
+  cgpa_scale:            src.cgpa_scale,
+  cgpa_rule:             src.cgpa_rule,
+  cgpa_factor:           src.cgpa_factor,
+  cgpa_offset:           src.cgpa_offset,
   active_backlog:        src.active_backlog,
   backlog_count:         src.backlog_count,
   gap_months:            src.gap_months,
 });
 
+const CGPA_SCALES = ['4', '5', '10'];
+const CGPA_RULES = ['', 'x9.5', 'minus0.75x10', 'x10', 'custom'];
+
 const pickIds = (src = {}) => ({
   uid:                    src.uid,
   roll_number:            src.roll_number,
@@ -62,6 +86,24 @@ const pickPlacement = (src = {}) => ({
   job_location:      src.job_location,
 });
 
+// Custom fields are user-named, so instead of whitelisting keys we whitelist
+// the entry shape and cap counts/lengths (bounded document growth).
+const MAX_CUSTOM_FIELDS   = 25;
+const MAX_CUSTOM_KEYWORDS = 10;
+
+const pickCustomFields = (src = []) =>
+  src
+    .filter((f) => f && typeof f.label === 'string' && f.label.trim())
+    .slice(0, MAX_CUSTOM_FIELDS)
+    .map((f) => ({
+      label:    f.label.trim().slice(0, 100),
+      keywords: (Array.isArray(f.keywords) ? f.keywords : [])
+        .filter((k) => typeof k === 'string' && k.trim())
+        .slice(0, MAX_CUSTOM_KEYWORDS)
+        .map((k) => k.trim().slice(0, 100)),
+      value:    typeof f.value === 'string' ? f.value.slice(0, 500) : '',
+    }));
+
 // ── Helpers ───────────────────────────────────────────────────
 // Apply only defined (non-undefined) picked values to a sub-document
 const applyPicked = (subDoc, picked) => {
@@ -71,13 +113,38 @@ const applyPicked = (subDoc, picked) => {
 };
 
 // ── GET /api/profile ──────────────────────────────────────────
+// Optional ?persona=<personaId> returns the base profile with that persona's
+// overrides applied (used by the extension's profile picker). Without it the
+// raw base profile is returned (used by the dashboard editor). The answer bank and
+// templates come along so the extension can suggest them without another request.
 exports.getProfile = async (req, res, next) => {
   try {
     // Never return password hash or internal Mongo fields
     const user = await User.findById(req.user._id).select('-password -__v').lean();
     if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
 
-    return res.json({ success: true, profile: user.profile, email: user.email });
+    const personaId = typeof req.query.persona === 'string' ? req.query.persona : '';
+    if (personaId) {
+      const persona = (user.personas || []).find((p) => p.personaId === personaId);
+      if (!persona) return res.status(404).json({ success: false, message: 'Profile not found.' });
+
+      return res.json({
+        success: true,
+        profile: applyPersona(user.profile, persona),
+        email:   user.email,
+        persona: { personaId: persona.personaId, name: persona.name },
+        answers: user.answers || [],
+        templates: user.templates || [],
+      });
+    }
+
+    return res.json({
+      success:   true,
+      profile:   user.profile,
+      email:     user.email,
+      answers:   user.answers || [],
+      templates: user.templates || [],
+    });
   } catch (err) {
     next(err); // Centralized handler — no raw error exposed to client
   }
@@ -90,14 +157,28 @@ exports.updateProfile = async (req, res, next) => {
     if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
 
     // Destructure ONLY the known top-level keys
-    const { personal, academics, ids, links, education, placement } = req.body.profile || {};
-
-    if (personal)   applyPicked(user.profile.personal,   pickPersonal(personal));
-    if (academics)  applyPicked(user.profile.academics,  pickAcademics(academics));
+    const { personal, academics, ids, links, education, placement, custom_fields } = req.body.profile || {};
+
+    if (personal) {
+      applyPicked(user.profile.personal, pickPersonal(personal));
+      // Phones are stored in E.164; the country decides the code for national numbers
+      const p = user.profile.personal;
+      if (!PHONE_COUNTRIES[p.phone_country]) p.phone_country = DEFAULT_PHONE_COUNTRY;
+      p.phone = toE164(p.phone, p.phone_country);
+    }
+    if (academics) {
+      applyPicked(user.profile.academics, pickAcademics(academics));
+      // The extension converts CGPA ↔ percentage only for rules it knows
+      const a = user.profile.academics;
+      if (!CGPA_SCALES.includes(String(a.cgpa_scale))) a.cgpa_scale = '10';
+      if (!CGPA_RULES.includes(a.cgpa_rule)) a.cgpa_rule = '';
+    }
     if (ids)        applyPicked(user.profile.ids,         pickIds(ids));
     if (links)      applyPicked(user.profile.links,       pickLinks(links));
     if (education)  applyPicked(user.profile.education,   pickEducation(education));
     if (placement)  applyPicked(user.profile.placement,   pickPlacement(placement));
+    // Custom fields are a list — the submitted array replaces the stored one
+    if (Array.isArray(custom_fields)) user.profile.custom_fields = pickCustomFields(custom_fields);
 
     user.markModified('profile');
     const saved = await user.save();
@@ -120,13 +201,21 @@ exports.getMyData = async (req, res, next) => {
     const user = await User.findById(req.user._id).select('-password -__v').lean();
     if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
 
+    const siteMappings = await SiteMapping.find({ userId: user._id, deleted: false })
+      .select('host scope scopeId label key updatedAt -_id')
+      .lean();
+
     return res.json({
       success: true,
       data: {
-        email:     user.email,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt,
-        profile:   user.profile,
+        email:        user.email,
+        createdAt:    user.createdAt,
+        updatedAt:    user.updatedAt,
+        profile:      user.profile,
+        personas:     user.personas || [],
+        answers:      user.answers || [],
+        templates:    user.templates || [],
+        siteMappings,
       },
     });
   } catch (err) {
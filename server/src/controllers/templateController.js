@@ -0,0 +1,140 @@
+/**
+ * templateController.js — Answer templates with placeholders per account
+ *
+ * Reusable long answers such as "I am excited to join {company} as a {role}
+ * because …". The extension suggests a template on a free-text question similar
+ * to its question, resolves {company}/{role} from the page and other {key}s from
+ * the profile, and fills only the text the user confirmed in the popup.
+ *
+ *  - List:   GET    /api/profile/templates
+ *  - Create: POST   /api/profile/templates
+ *  - Update: PUT    /api/profile/templates/:templateId
+ *  - Delete: DELETE /api/profile/templates/:templateId
+ *
+ * Protects against:
+ *  - Mass assignment:  Joi schemas with stripUnknown — only question/text survive.
+ *  - Document bloat:   MAX_TEMPLATES cap per user; text length capped.
+ *  - NoSQL injection:  templateId validated as UUIDv4; mongoSanitize upstream.
+ *  - Internal error leakage: All errors forwarded to centralized handler via next().
+ */
+
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+
+const MAX_TEMPLATES = 30;
+
+// {company}, {role}, {college} … — letters, digits and underscores only
+const PLACEHOLDER = /\{[a-z0-9_]+\}/i;
+
+// ── Input schemas ─────────────────────────────────────────────
+const createSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(300).required(),
+  text:     Joi.string().trim().min(1).max(2000).required(),
+});
+
+const updateSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(300),
+  text:     Joi.string().trim().min(1).max(2000),
+}).min(1);
+
+const templateIdSchema = Joi.string().uuid({ version: 'uuidv4' }).required();
+
+// ── Helpers ───────────────────────────────────────────────────
+// A text without placeholders is a plain answer — it belongs in the answer bank
+const hasPlaceholder = (text) => PLACEHOLDER.test(text);
+
+const noPlaceholderResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Template needs at least one placeholder such as {company} or {role}. Save plain answers in the Answer Bank.',
+});
+
+// ── GET /api/profile/templates ────────────────────────────────
+exports.listTemplates = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('templates').lean();
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    return res.json({ success: true, templates: user.templates || [] });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── POST /api/profile/templates ───────────────────────────────
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    if (!hasPlaceholder(value.text)) return noPlaceholderResponse(res);
+
+    const user = await User.findById(req.user._id).select('templates');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    if (user.templates.length >= MAX_TEMPLATES) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum ${MAX_TEMPLATES} templates allowed. Delete an existing template first.`,
+      });
+    }
+
+    user.templates.push({ templateId: uuidv4(), question: value.question, text: value.text });
+    const saved = await user.save();
+
+    return res.status(201).json({ success: true, message: 'Template saved.', templates: saved.templates });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── PUT /api/profile/templates/:templateId ────────────────────
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const { error: idError, value: templateId } = templateIdSchema.validate(req.params.templateId);
+    if (idError) return res.status(400).json({ success: false, message: 'Invalid template id.' });
+
+    const { error, value } = updateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    if (value.text !== undefined && !hasPlaceholder(value.text)) return noPlaceholderResponse(res);
+
+    const user = await User.findById(req.user._id).select('templates');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const template = user.templates.find((t) => t.templateId === templateId);
+    if (!template) return res.status(404).json({ success: false, message: 'Template not found.' });
+
+    if (value.question !== undefined) template.question = value.question;
+    if (value.text !== undefined) template.text = value.text;
+
+    const saved = await user.save();
+
+    return res.json({ success: true, message: 'Template updated.', templates: saved.templates });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── DELETE /api/profile/templates/:templateId ─────────────────
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const { error: idError, value: templateId } = templateIdSchema.validate(req.params.templateId);
+    if (idError) return res.status(400).json({ success: false, message: 'Invalid template id.' });
+
+    const user = await User.findById(req.user._id).select('templates');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    const template = user.templates.find((t) => t.templateId === templateId);
+    if (!template) return res.status(404).json({ success: false, message: 'Template not found.' });
+
+    user.templates = user.templates.filter((t) => t.templateId !== templateId);
+    const saved = await user.save();
+
+    return res.json({ success: true, message: 'Template deleted.', templates: saved.templates });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -15,6 +15,7 @@
 
 const User = require('../models/User');
 const ExtensionKey = require('../models/ExtensionKey');
+const SiteMapping = require('../models/SiteMapping');
 
 // ── GET /api/user/me — GDPR Art. 15: Right of access ─────────
 // Returns all PII stored for the authenticated user.
@@ -27,6 +28,10 @@ exports.getMe = async (req, res, next) => {
 
     if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
 
+    const siteMappings = await SiteMapping.find({ userId: user._id, deleted: false })
+      .select('host scope scopeId label key updatedAt -_id')
+      .lean();
+
     return res.json({
       success: true,
       data: {
@@ -38,6 +43,10 @@ exports.getMe = async (req, res, next) => {
         termsVersion:   user.termsVersion,
         privacyVersion: user.privacyVersion,
         profile:        user.profile,
+        personas:       user.personas || [],
+        answers:        user.answers || [],
+        templates:      user.templates || [],
+        siteMappings,
       },
     });
   } catch (err) {
@@ -70,8 +79,9 @@ exports.deleteAccount = async (req, res, next) => {
     }
 
     // Hard delete — no soft delete, no orphaned profile documents
-    // Delete extension keys first, then user document — no orphaned data.
+    // Delete extension keys and synced mappings first, then user document — no orphaned data.
     await ExtensionKey.deleteMany({ userId: user._id });
+    await SiteMapping.deleteMany({ userId: user._id });
     await User.deleteOne({ _id: user._id });
 
     // Log deletion event — user ID only, no email or PII
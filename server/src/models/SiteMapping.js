@@ -0,0 +1,71 @@
+/**
+ * SiteMapping.js — Learned label → field mappings synced from the extension
+ *
+ * One document per user, host, scope and label, mirroring the extension's
+ * chrome.storage.local.siteMappings (see extension/mappings.js):
+ *  - scope 'form':   scopeId is the Google / Microsoft Form ID
+ *  - scope 'path':   scopeId is the page path with ID segments as "*"
+ *  - scope 'domain': scopeId is '' (whole site)
+ *
+ * Sync semantics:
+ *  - updatedAt is the time the mapping was changed ON THE DEVICE (not the save
+ *    time here), so the most recent edit wins whichever device syncs first.
+ *  - Deleting a mapping keeps a tombstone (deleted: true) so other devices drop
+ *    their copy instead of uploading it again.
+ *
+ * Protects against:
+ *  - Collection bloat: MAX_MAPPINGS_PER_USER enforced in controller.
+ *  - Duplicates:       Unique compound index on (userId, host, scope, scopeId, label).
+ */
+
+const mongoose = require('mongoose');
+
+const siteMappingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  host: {
+    type: String,
+    required: true,
+    maxlength: 253,
+  },
+  scope: {
+    type: String,
+    enum: ['form', 'path', 'domain'],
+    required: true,
+  },
+  scopeId: {
+    type: String,
+    default: '',
+    maxlength: 500,
+  },
+  label: {
+    type: String,
+    required: true,
+    maxlength: 200,
+  },
+  key: {
+    type: String,
+    default: '',
+    maxlength: 100,
+  },
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  updatedAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+siteMappingSchema.index({ userId: 1, host: 1, scope: 1, scopeId: 1, label: 1 }, { unique: true });
+
+// Constants — exported for controller use
+siteMappingSchema.statics.MAX_MAPPINGS_PER_USER = 2000;
+siteMappingSchema.statics.MAX_IMPORT_BATCH = 100;
+
+module.exports = mongoose.model('SiteMapping', siteMappingSchema);
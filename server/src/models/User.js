@@ -2,6 +2,61 @@ const mongoose = require('mongoose');
 
 const bcrypt = require('bcryptjs');
 
+// ── User-defined profile field ────────────────────────────────
+// Covers questions FIELD_MAP doesn't model (hostel block, mentor name, …).
+// label + keywords feed the extension's scoring pass; value is what gets filled.
+const customFieldSchema = new mongoose.Schema({
+  label:    { type: String, required: true, maxlength: 100 },
+  keywords: { type: [String], default: [] }, // Extra synonyms, e.g. ["leetcode id"]
+  value:    { type: String, default: '', maxlength: 500 },
+}, { _id: false });
+
+// ── Named profile (persona) ───────────────────────────────────
+// One account can apply to several kinds of drives (internship vs full-time,
+// SDE vs analyst). A persona is a named overlay of the fields that differ per
+// application; every other field comes from the shared base profile.
+// Empty strings mean "inherit from base profile".
+const personaSchema = new mongoose.Schema({
+  personaId: { type: String, required: true }, // UUIDv4 — stable id for API + extension
+  name:      { type: String, required: true, maxlength: 60 },
+  isDefault: { type: Boolean, default: false }, // At most one per user (enforced in controller)
+  overrides: {
+    personal: {
+      email: { type: String, default: '' },
+      phone: { type: String, default: '' },
+    },
+    links: {
+      resume:    { type: String, default: '' },
+      portfolio: { type: String, default: '' },
+    },
+    placement: {
+      position_applying: { type: String, default: '' },
+      job_location:      { type: String, default: '' },
+    },
+  },
+}, { _id: false, timestamps: true });
+
+// ── Saved free-text answer ────────────────────────────────────
+// Answers to questions no profile field covers ("Why do you want to join?").
+// Captured by the extension (opt-in) or written on the dashboard; label is the
+// normalized question the extension matches later forms against.
+const answerSchema = new mongoose.Schema({
+  answerId: { type: String, required: true }, // UUIDv4 — stable id for API + extension
+  question: { type: String, required: true, maxlength: 300 }, // As asked on the form
+  label:    { type: String, required: true, maxlength: 300 }, // Normalized question (unique per user)
+  answer:   { type: String, required: true, maxlength: 2000 },
+}, { _id: false, timestamps: true });
+
+// ── Answer template ───────────────────────────────────────────
+// A reusable long answer with placeholders ("I am excited to join {company} as
+// a {role}…"). The extension resolves {company}/{role} from the page and any
+// other {key} from the profile, and the user confirms the text before it is filled.
+const templateSchema = new mongoose.Schema({
+  templateId: { type: String, required: true }, // UUIDv4 — stable id for API + extension
+  question:   { type: String, required: true, maxlength: 300 }, // Question it answers — matched like saved answers
+  text:       { type: String, required: true, maxlength: 2000 },
+}, { _id: false, timestamps: true });
+
 const userSchema = new mongoose.Schema({
   username: { type: String, required: false },
   email: { type: String, required: true, unique: true },
@@ -16,18 +71,38 @@ const userSchema = new mongoose.Schema({
   profile: {
     personal: {
       name: { type: String, default: '' },
+      // Optional name parts — blank means "derive from name" in the extension
+      first_name: { type: String, default: '' },
+      middle_name: { type: String, default: '' },
+      last_name: { type: String, default: '' },
       email: { type: String, default: '' },
-      phone: { type: String, default: '' },
+      phone: { type: String, default: '' }, // E.164, e.g. +919876543210
+      phone_country: { type: String, default: 'IN' }, // ISO 3166 alpha-2 — country of the phone number
       gender: { type: String, default: '' }, // Male/Female/Other
       dob: { type: String, default: '' }, // Date of Birth (YYYY-MM-DD)
       age: { type: String, default: '' }, // Age in years
       permanent_address: { type: String, default: '' }, // Permanent address
+      // Structured address parts — blank parts are parsed out of the address text
+      permanent_city: { type: String, default: '' },
+      permanent_state: { type: String, default: '' },
+      permanent_pincode: { type: String, default: '' },
+      permanent_country: { type: String, default: '' },
+      current_same_as_permanent: { type: String, default: '' }, // Yes/No — Yes reuses the permanent address
+      current_address: { type: String, default: '' }, // Current / correspondence address
+      current_city: { type: String, default: '' },
+      current_state: { type: String, default: '' },
+      current_pincode: { type: String, default: '' },
+      current_country: { type: String, default: '' },
     },
     academics: {
       tenth_percentage: { type: String, default: '' },
       twelfth_percentage: { type: String, default: '' },
       diploma_percentage: { type: String, default: '' }, // Diploma percentage
       cgpa: { type: String, default: '' },
+      cgpa_scale: { type: String, default: '10' }, // Points the university grades on (4 / 5 / 10)
+      cgpa_rule: { type: String, default: '' }, // CGPA → percentage rule: x9.5 / minus0.75x10 / x10 / custom ('' = none)
+      cgpa_factor: { type: String, default: '' }, // Custom rule: percentage = cgpa_factor × CGPA + cgpa_offset
+      cgpa_offset: { type: String, default: '' },
       graduation_percentage: { type: String, default: '' },
       pg_percentage: { type: String, default: '' },
       active_backlog: { type: String, default: 'No' }, // Yes/No
@@ -56,7 +131,11 @@ const userSchema = new mongoose.Schema({
       position_applying: { type: String, default: '' },
       job_location: { type: String, default: '' },
     },
+    custom_fields: { type: [customFieldSchema], default: [] },
   },
+  personas: { type: [personaSchema], default: [] },
+  answers:  { type: [answerSchema], default: [] },
+  templates: { type: [templateSchema], default: [] },
   // ── Legal consent (required for GDPR / SaaS compliance) ──
   // termsAccepted is enforced at registration — no bypass allowed.
   // Versioning fields allow re-prompting users if policies are updated.
@@ -0,0 +1,17 @@
+/**
+ * mappingRoutes.js — Learned site mapping sync routes (all require valid JWT)
+ */
+
+const express           = require('express');
+const mappingController = require('../controllers/mappingController');
+const authMiddleware    = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Sync endpoints — writes are last-writer-wins on the device's updatedAt
+router.get('/',        authMiddleware, mappingController.listMappings);
+router.put('/',        authMiddleware, mappingController.upsertMapping);
+router.delete('/',     authMiddleware, mappingController.deleteMapping);
+router.post('/import', authMiddleware, mappingController.importMappings);
+
+module.exports = router;
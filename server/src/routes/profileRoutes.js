@@ -4,6 +4,9 @@
 
 const express        = require('express');
 const profileController = require('../controllers/profileController');
+const personaController = require('../controllers/personaController');
+const answerController  = require('../controllers/answerController');
+const templateController = require('../controllers/templateController');
 const authMiddleware    = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -12,6 +15,24 @@ const router = express.Router();
 router.get('/',  authMiddleware, profileController.getProfile);
 router.put('/',  authMiddleware, profileController.updateProfile);
 
+// Named profiles (personas) — overlays on the base profile
+router.get('/personas',                authMiddleware, personaController.listPersonas);
+router.post('/personas',               authMiddleware, personaController.createPersona);
+router.put('/personas/:personaId',     authMiddleware, personaController.updatePersona);
+router.delete('/personas/:personaId',  authMiddleware, personaController.deletePersona);
+
+// Answer bank — saved answers to free-text questions no profile field covers
+router.get('/answers',                 authMiddleware, answerController.listAnswers);
+router.post('/answers',                authMiddleware, answerController.saveAnswer);
+router.put('/answers/:answerId',       authMiddleware, answerController.updateAnswer);
+router.delete('/answers/:answerId',    authMiddleware, answerController.deleteAnswer);
+
+// Answer templates — long answers with {company}/{role}/profile placeholders
+router.get('/templates',                  authMiddleware, templateController.listTemplates);
+router.post('/templates',                 authMiddleware, templateController.createTemplate);
+router.put('/templates/:templateId',      authMiddleware, templateController.updateTemplate);
+router.delete('/templates/:templateId',   authMiddleware, templateController.deleteTemplate);
+
 // GDPR compliance endpoints
 // GET  /api/profile/my-data  — Art. 15: Right of access
 // DELETE /api/profile/account — REMOVED: use DELETE /api/user/delete instead
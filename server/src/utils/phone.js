@@ -0,0 +1,55 @@
+/**
+ * phone.js — Phone number normalization
+ *
+ * Profile phones are stored in E.164 (+<country code><national number>) so the
+ * extension can write whichever shape a form asks for. Input from the dashboard is
+ * usually a national number plus the profile's phone_country.
+ */
+
+// ISO 3166 alpha-2 → calling code and national number length (without trunk 0)
+const PHONE_COUNTRIES = {
+  IN: { dial: '91',  length: 10 },
+  US: { dial: '1',   length: 10 },
+  CA: { dial: '1',   length: 10 },
+  GB: { dial: '44',  length: 10 },
+  AE: { dial: '971', length: 9 },
+  SG: { dial: '65',  length: 8 },
+  AU: { dial: '61',  length: 9 },
+  NP: { dial: '977', length: 10 },
+  BD: { dial: '880', length: 10 },
+  LK: { dial: '94',  length: 9 },
+  SA: { dial: '966', length: 9 },
+  QA: { dial: '974', length: 8 },
+};
+
+const DEFAULT_PHONE_COUNTRY = 'IN';
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Convert a phone number to E.164 using the profile's country for national numbers.
+ * Accepts "+91 98765-43210", "0091…", "919876543210", "09876543210" and "9876543210".
+ * Values that can't be read as a phone number are returned trimmed but unchanged.
+ * @param {string} phone - Phone as entered
+ * @param {string} country - ISO 3166 alpha-2 code (PHONE_COUNTRIES key)
+ * @returns {string} E.164 number, '' for empty input
+ */
+const toE164 = (phone, country = DEFAULT_PHONE_COUNTRY) => {
+  const raw = String(phone || '').trim();
+  if (!raw) return '';
+
+  const { dial, length } = PHONE_COUNTRIES[country] || PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY];
+  const digits = raw.replace(/\D/g, '');
+
+  let e164;
+  if (raw.startsWith('+')) e164 = `+${digits}`;
+  else if (digits.startsWith('00')) e164 = `+${digits.slice(2)}`;
+  // Country code typed without "+" ("91-9876543210")
+  else if (digits.startsWith(dial) && digits.length === dial.length + length) e164 = `+${digits}`;
+  // National number, dropping a trunk prefix ("09876543210")
+  else e164 = `+${dial}${digits.replace(/^0/, '')}`;
+
+  return E164_PATTERN.test(e164) ? e164 : raw;
+};
+
+module.exports = { PHONE_COUNTRIES, DEFAULT_PHONE_COUNTRY, toE164 };
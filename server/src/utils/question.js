@@ -0,0 +1,21 @@
+/**
+ * question.js — Question text normalization for the answer bank
+ *
+ * Saved answers are keyed by their normalized question, so "Why do you want to
+ * join us?" and "why do you want to join us" are one question. The extension
+ * normalizes page questions the same way (normalizeOption() in
+ * extension/content.js); test/fixtures/questions.json pins both to the same output.
+ */
+
+/**
+ * Lowercase, turn anything but letters, digits and spaces into spaces, collapse runs
+ * @param {string} question - Question as written
+ * @returns {string} Normalized question ('' when it has no letters or digits)
+ */
+const normalizeQuestion = (question) => String(question || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = { normalizeQuestion };
@@ -0,0 +1,88 @@
+/**
+ * personaController — persona create/update against an in-memory User document.
+ * findById returns only the selected paths, as MongoDB would, so a missing
+ * projection shows up as a missing value.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/User');
+const personaController = require('../src/controllers/personaController');
+
+const USER_ID = '65f000000000000000000001';
+
+// Copy only the space-separated paths in `fields` out of `source`
+const project = (source, fields) => {
+  const out = {};
+  fields.split(/\s+/).forEach((field) => {
+    const parts = field.split('.');
+    let from = source;
+    let to = out;
+    parts.forEach((part, i) => {
+      if (from?.[part] === undefined) return;
+      if (i === parts.length - 1) to[part] = from[part];
+      else to = to[part] = to[part] || {};
+      from = from[part];
+    });
+  });
+  return out;
+};
+
+const mockUser = (stored) => {
+  User.findById = (id) => ({
+    select: (fields) => {
+      if (String(id) !== USER_ID) return null;
+      const doc = User.hydrate(project(stored, fields), Object.fromEntries(
+        fields.split(/\s+/).map((field) => [field, 1])));
+      doc.save = async () => doc;
+      return doc;
+    },
+  });
+};
+
+const call = (handler, { body = {}, params = {} } = {}) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ status: this.statusCode, body: payload }); },
+    };
+    handler({ body, params, user: { _id: USER_ID } }, res, reject);
+  });
+
+test('createPersona stores phone overrides in E.164 for the profile country', async () => {
+  mockUser({ profile: { personal: { phone_country: 'US' } }, personas: [] });
+
+  const { status, body } = await call(personaController.createPersona, {
+    body: { name: 'US roles', overrides: { personal: { phone: '(202) 555-0143' } } },
+  });
+
+  assert.equal(status, 201);
+  assert.equal(body.personas[0].overrides.personal.phone, '+12025550143');
+});
+
+test('updatePersona stores phone overrides in E.164 for the profile country', async () => {
+  const personaId = '3b241101-e2bb-4255-8caf-4136c566a962';
+  mockUser({
+    profile: { personal: { phone_country: 'GB' } },
+    personas: [{ personaId, name: 'London', isDefault: true }],
+  });
+
+  const { status, body } = await call(personaController.updatePersona, {
+    params: { personaId },
+    body: { overrides: { personal: { phone: '07700 900123' } } },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.personas[0].overrides.personal.phone, '+447700900123');
+});
+
+test('phone overrides default to India when the profile has no country', async () => {
+  mockUser({ personas: [] });
+
+  const { body } = await call(personaController.createPersona, {
+    body: { name: 'Campus', overrides: { personal: { phone: '98765 43210' } } },
+  });
+
+  assert.equal(body.personas[0].overrides.personal.phone, '+919876543210');
+});
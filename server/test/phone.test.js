@@ -0,0 +1,18 @@
+/**
+ * toE164 — pinned to test/fixtures/phones.json, which the extension's copy in
+ * content.js is tested against too (extension/test/phoneNormalization.test.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toE164 } = require('../src/utils/phone');
+
+const samples = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'phones.json'), 'utf8'));
+
+test('toE164 gives the pinned output for every sample phone', () => {
+  samples.forEach(({ phone, country, e164 }) => {
+    assert.equal(toE164(phone, country ?? undefined), e164, JSON.stringify({ phone, country }));
+  });
+});
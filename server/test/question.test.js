@@ -0,0 +1,18 @@
+/**
+ * normalizeQuestion — pinned to test/fixtures/questions.json, which the
+ * extension's normalizeOption() is tested against too (extension/test/questionNormalization.test.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQuestion } = require('../src/utils/question');
+
+const samples = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'questions.json'), 'utf8'));
+
+test('normalizeQuestion gives the pinned output for every sample question', () => {
+  samples.forEach(({ question, normalized }) => {
+    assert.equal(normalizeQuestion(question), normalized, JSON.stringify(question));
+  });
+});